@@ -139,7 +139,8 @@ class EquipmentAPIClient {
                             roomId,
                             characterId,
                             name: characterData.name,
-                            data: characterData.data
+                            // The extension keeps equipment data in `equipment`; API rows use `data`
+                            data: characterData.equipment || characterData.data
                         })
                     });
 
@@ -1,4 +1,5 @@
 const { Pool } = require('@neondatabase/serverless');
+const { EQUIPMENT_SCHEMA_VERSION, getSchemaVersion, migrateEquipmentData } = require('../equipment-schema');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -54,20 +55,41 @@ async function handleGetCharacters(req, res, client) {
   );
 
   const characters = {};
-  result.rows.forEach(row => {
+  for (const row of result.rows) {
     characters[row.character_id] = {
       id: row.character_id,
       name: row.name,
-      data: row.equipment_data,
+      data: await upgradeEquipmentData(client, row),
       lastModified: row.updated_at
     };
-  });
+  }
 
   res.status(200).json(characters);
 }
 
+// Rows written by older versions are upgraded on read and stored back. updated_at is left
+// alone so the upgrade does not look like a newer edit to the sync endpoint. Migrations that
+// need the rules pack (such as converting gold to amounts) are left for the browser, so a row
+// can stay below EQUIPMENT_SCHEMA_VERSION.
+async function upgradeEquipmentData(client, row) {
+  if (getSchemaVersion(row.equipment_data) >= EQUIPMENT_SCHEMA_VERSION) {
+    return row.equipment_data;
+  }
+
+  const upgraded = migrateEquipmentData(row.equipment_data);
+  if (getSchemaVersion(upgraded) === getSchemaVersion(row.equipment_data)) {
+    return row.equipment_data;
+  }
+  await client.query(
+    'UPDATE characters SET equipment_data = $3 WHERE room_id = $1 AND character_id = $2',
+    [row.room_id, row.character_id, JSON.stringify(upgraded)]
+  );
+  return upgraded;
+}
+
 async function handleCreateCharacter(req, res, client) {
-  const { roomId, characterId, name, data } = req.body;
+  const { roomId, characterId, name } = req.body;
+  const data = req.body.data || req.body.equipment;
 
   if (!roomId || !characterId || !name) {
     res.status(400).json({ error: 'roomId, characterId, and name are required' });
@@ -80,7 +102,7 @@ async function handleCreateCharacter(req, res, client) {
      ON CONFLICT (room_id, character_id) 
      DO UPDATE SET name = $3, equipment_data = $4, updated_at = NOW()
      RETURNING *`,
-    [roomId, characterId, name, JSON.stringify(data || {})]
+    [roomId, characterId, name, JSON.stringify(migrateEquipmentData(data || {}))]
   );
 
   res.status(201).json({
@@ -92,7 +114,8 @@ async function handleCreateCharacter(req, res, client) {
 }
 
 async function handleUpdateCharacter(req, res, client) {
-  const { roomId, characterId, name, data } = req.body;
+  const { roomId, characterId, name } = req.body;
+  const data = req.body.data || req.body.equipment;
 
   if (!roomId || !characterId) {
     res.status(400).json({ error: 'roomId and characterId are required' });
@@ -106,7 +129,7 @@ async function handleUpdateCharacter(req, res, client) {
          updated_at = NOW()
      WHERE room_id = $1 AND character_id = $2
      RETURNING *`,
-    [roomId, characterId, name, data ? JSON.stringify(data) : null]
+    [roomId, characterId, name, data ? JSON.stringify(migrateEquipmentData(data)) : null]
   );
 
   if (result.rows.length === 0) {
@@ -1,4 +1,5 @@
 const { Pool } = require('@neondatabase/serverless');
+const { migrateEquipmentData, getCharacterEquipment } = require('../equipment-schema');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -39,7 +40,7 @@ module.exports = async function handler(req, res) {
       dbCharacters[row.character_id] = {
         id: row.character_id,
         name: row.name,
-        data: row.equipment_data,
+        data: migrateEquipmentData(row.equipment_data),
         lastModified: new Date(row.updated_at)
       };
     });
@@ -56,13 +57,15 @@ module.exports = async function handler(req, res) {
       for (const [characterId, localChar] of Object.entries(localData)) {
         const dbChar = dbCharacters[characterId];
         const localModified = localChar.lastModified ? new Date(localChar.lastModified) : new Date(0);
+        // Extension characters carry `equipment`; API characters carry `data`
+        const localEquipment = migrateEquipmentData(getCharacterEquipment(localChar));
 
         if (!dbChar) {
           // Character doesn't exist in DB, create it
           await client.query(
             `INSERT INTO characters (room_id, character_id, name, equipment_data, created_at, updated_at)
              VALUES ($1, $2, $3, $4, NOW(), NOW())`,
-            [roomId, characterId, localChar.name || 'Unnamed Character', JSON.stringify(localChar.data || {})]
+            [roomId, characterId, localChar.name || 'Unnamed Character', JSON.stringify(localEquipment)]
           );
           syncResult.created.push(characterId);
         } else {
@@ -74,7 +77,7 @@ module.exports = async function handler(req, res) {
               `UPDATE characters 
                SET name = $3, equipment_data = $4, updated_at = NOW()
                WHERE room_id = $1 AND character_id = $2`,
-              [roomId, characterId, localChar.name, JSON.stringify(localChar.data)]
+              [roomId, characterId, localChar.name, JSON.stringify(localEquipment)]
             );
             syncResult.updated.push(characterId);
           } else if (dbModified > localModified) {
@@ -103,7 +106,7 @@ module.exports = async function handler(req, res) {
       finalCharacters[row.character_id] = {
         id: row.character_id,
         name: row.name,
-        data: row.equipment_data,
+        data: migrateEquipmentData(row.equipment_data),
         lastModified: row.updated_at
       };
     });
@@ -0,0 +1,248 @@
+/**
+ * Equipment Data Schema
+ * Versioned migrations for stored equipment data. Shared by the browser (EquipmentSystem)
+ * and the API (api/characters.js) so old saves and old database rows upgrade the same way.
+ */
+
+const EQUIPMENT_SCHEMA_VERSION = 6;
+
+function isSchemaObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Find an item anywhere in the inventory tree (including container contents)
+function findSchemaItem(inventory, itemId) {
+    const search = (items, parent) => {
+        for (const item of items) {
+            if (item.id === itemId) return { item, parent };
+            if (Array.isArray(item.contents)) {
+                const found = search(item.contents, item);
+                if (found) return found;
+            }
+        }
+        return null;
+    };
+
+    for (const categoryItems of Object.values(inventory)) {
+        const found = search(categoryItems, null);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Each migration upgrades data from (version - 1) to version and returns the new data.
+ * Migrations should not depend on the rules pack; EquipmentSystem.applyRulesPackToData()
+ * fits the data to the active pack on every load. A migration that can't avoid it lists the
+ * context functions it needs in `requires`.
+ */
+const EQUIPMENT_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Give unversioned data its core shape',
+        migrate(data) {
+            const inventory = isSchemaObject(data.inventory) ? data.inventory : {};
+            Object.keys(inventory).forEach(category => {
+                if (Array.isArray(inventory[category])) {
+                    inventory[category] = inventory[category].filter(isSchemaObject);
+                } else {
+                    delete inventory[category];
+                }
+            });
+
+            const gold = isSchemaObject(data.gold) ? data.gold : {};
+            return {
+                ...data,
+                inventory,
+                equipped: isSchemaObject(data.equipped) ? data.equipped : {},
+                gold: {
+                    coins: 0,
+                    pouches: 0,
+                    chest: 0,
+                    equippedPouches: 0,
+                    ...gold,
+                    banks: Array.isArray(gold.banks) ? gold.banks : []
+                },
+                loadouts: Array.isArray(data.loadouts) ? data.loadouts : []
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Equipped slots hold inventory item ids instead of item copies',
+        migrate(data, context) {
+            // An equipped copy whose inventory entry went missing is put back; ids that no longer
+            // resolve are cleared, and packed items are never equipped
+            const toReference = (entry) => {
+                if (entry === null || entry === undefined) return null;
+                const isCopy = isSchemaObject(entry);
+                const id = isCopy ? entry.id : entry;
+                if (id === null || id === undefined) return null;
+
+                const found = findSchemaItem(data.inventory, id);
+                if (found) {
+                    if (!found.parent) return id;
+                    context.report('packed-equipped-item', `${found.item.name || `Item ${id}`} was equipped while packed in ${found.parent.name || 'a container'}, so it was unequipped.`);
+                    return null;
+                }
+                if (isCopy && entry.name && entry.type) {
+                    const category = context.getItemCategory(entry.type);
+                    data.inventory[category] = data.inventory[category] || [];
+                    data.inventory[category].push(entry);
+                    return id;
+                }
+                context.report('missing-equipped-item', `${(isCopy && entry.name) || `Item ${id}`} was equipped but is not in the inventory, so it was unequipped.`);
+                return null;
+            };
+
+            Object.keys(data.equipped).forEach(slotId => {
+                const contents = data.equipped[slotId];
+                data.equipped[slotId] = Array.isArray(contents) ? contents.map(toReference) : toReference(contents);
+            });
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: 'Banks get ids and gold gets a transaction ledger',
+        migrate(data) {
+            // Opening balances depend on the rules pack's denominations, so they are written
+            // by EquipmentSystem.repair() rather than here
+            const banks = Array.isArray(data.gold.banks) ? data.gold.banks : [];
+            data.gold.banks = banks.map((bank, i) => ({ ...bank, id: bank.id || `bank_${i + 1}` }));
+            data.gold.ledger = Array.isArray(data.gold.ledger) ? data.gold.ledger : [];
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: 'Banks can store items',
+        migrate(data) {
+            data.gold.banks = data.gold.banks.map(bank => ({
+                ...bank,
+                items: Array.isArray(bank.items) ? bank.items.filter(isSchemaObject) : []
+            }));
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: "Rings, amulets and clothes saved as 'personal' items become jewelry and clothing",
+        migrate(data, context) {
+            // Only the Daggerheart pack has 'personal' items, and it has both worn types. This
+            // runs once, so a personal item named "Locket" that the player keeps stays personal.
+            const patterns = {
+                jewelry: /\b(ring|amulet|necklace|pendant|bracelet|earrings?|circlet|brooch|torc|locket)\b/i,
+                clothing: /\b(cloak|robes?|tunic|clothes|clothing|outfit|garb|attire|dress|coat)\b/i
+            };
+
+            Object.keys(data.inventory).forEach(category => {
+                data.inventory[category] = data.inventory[category].filter(item => {
+                    const type = item.type === 'personal' && typeof item.name === 'string' ?
+                        Object.keys(patterns).find(worn => patterns[worn].test(item.name)) :
+                        null;
+                    if (!type) return true;
+
+                    item.type = type;
+                    const target = context.getItemCategory(type);
+                    if (target === category) return true;
+                    data.inventory[target] = data.inventory[target] || [];
+                    data.inventory[target].unshift(item);
+                    return false;
+                });
+            });
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: 'Carried gold and banks hold one amount counted in coins',
+        // What a pouch or chest is worth comes from the rules pack, which only the browser knows
+        requires: ['getDenominationValue'],
+        migrate(data, context) {
+            const gold = data.gold;
+            const count = (value) => Number.isFinite(value) ? value : 0;
+            if (typeof gold.amount !== 'number') {
+                gold.amount = ['coins', 'pouches', 'chest'].reduce((total, id) =>
+                    total + count(gold[id]) * context.getDenominationValue(id), 0);
+            }
+            delete gold.coins;
+            delete gold.pouches;
+            delete gold.chest;
+
+            gold.banks.forEach(bank => {
+                if (typeof bank.amount !== 'number') {
+                    bank.amount = count(bank.chests) * context.getDenominationValue('chest');
+                }
+                delete bank.chests;
+            });
+            return data;
+        }
+    }
+];
+
+function getSchemaVersion(data) {
+    return isSchemaObject(data) && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Upgrade equipment data to EQUIPMENT_SCHEMA_VERSION. Returns a new object and leaves the
+ * input untouched. Data written by a newer version is returned as-is.
+ *
+ * context.getItemCategory(type) picks the category for items a migration has to put back
+ * into the inventory. Without it they go to 'Recovered', which EquipmentSystem re-homes by
+ * type when it loads the data.
+ *
+ * Upgrading stops before the first migration whose `requires` the context doesn't provide,
+ * so the API leaves those steps to EquipmentSystem, which passes the rules pack's values.
+ *
+ * Anything a migration has to throw away is reported as {code, message} and kept in the
+ * data's `repairLog`, so EquipmentSystem.validate()/repair() can show it even when the
+ * upgrade ran on the server.
+ */
+function migrateEquipmentData(data, context = {}) {
+    const version = getSchemaVersion(data);
+    if (version >= EQUIPMENT_SCHEMA_VERSION) return data;
+
+    const reported = [];
+    const migrationContext = {
+        getItemCategory: () => 'Recovered',
+        ...context,
+        report: (code, message) => reported.push({ code, message })
+    };
+
+    let migrated = isSchemaObject(data) ? JSON.parse(JSON.stringify(data)) : {};
+    for (const migration of EQUIPMENT_MIGRATIONS.filter(entry => entry.version > version)) {
+        if ((migration.requires || []).some(name => typeof migrationContext[name] !== 'function')) break;
+        migrated = migration.migrate(migrated, migrationContext);
+        migrated.schemaVersion = migration.version;
+    }
+    if (reported.length > 0) {
+        migrated.repairLog = [...(Array.isArray(migrated.repairLog) ? migrated.repairLog : []), ...reported];
+    }
+    return migrated;
+}
+
+// Characters created by the extension keep their data in `equipment`; rows from the API use `data`
+function getCharacterEquipment(character) {
+    if (!character) return {};
+    return character.equipment || character.data || {};
+}
+
+const EquipmentSchemaExports = {
+    EQUIPMENT_SCHEMA_VERSION,
+    EQUIPMENT_MIGRATIONS,
+    getSchemaVersion,
+    migrateEquipmentData,
+    getCharacterEquipment
+};
+
+// Global assignment for direct script inclusion
+if (typeof window !== 'undefined') {
+    window.EquipmentSchema = EquipmentSchemaExports;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquipmentSchemaExports;
+}
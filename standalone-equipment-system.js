@@ -14,7 +14,9 @@
  * 
  * USAGE:
  * ------
- * 1. Include this file in your HTML: <script src="standalone-equipment-system.js"></script>
+ * 1. Include this file and the data schema it depends on in your HTML:
+ *    <script src="equipment-schema.js"></script>
+ *    <script src="standalone-equipment-system.js"></script>
  * 2. Create a container element: <div id="equipment-container"></div>
  * 3. Initialize the system: const equipmentSystem = new EquipmentSystem('equipment-container');
  * 4. Optionally provide callbacks for external integration (save/load, UI updates)
@@ -34,6 +36,554 @@
  * LICENSE: MIT (or your preferred license)
  */
 
+// Stored data is versioned; the migrations live in equipment-schema.js so the API can share them
+const equipmentSchema = typeof module !== 'undefined' && module.exports ?
+    require('./equipment-schema.js') :
+    window.EquipmentSchema;
+
+// ===== RULES PACKS =====
+// A rules pack is a plain JSON object describing the tables a game system uses:
+// item categories and types, tags, weights, abilities, bags, equipment slots and currency.
+// Packs are validated on load; an invalid pack throws a RulesPackError listing every problem.
+
+class RulesPackError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+        this.name = 'RulesPackError';
+        this.errors = errors;
+    }
+}
+
+const DEFAULT_CURRENCY = {
+    name: 'Gold',
+    // weight is per coin, pouch or chest and only counts when encumbranceRules.countCurrency is on
+    denominations: [
+        { id: 'coins', label: 'Coins', max: 10, weight: 0.1 },
+        { id: 'pouches', label: 'Pouches', max: 10, weight: 1 },
+        { id: 'chest', label: 'Chest', max: 1, weight: 10 }
+    ],
+    equippedPouchLimit: 2,
+    // Gold past a full chest goes into extra chests ('chest') or the first bank ('bank')
+    overflow: 'chest'
+};
+
+// What counts toward encumbrance besides packed items: equipped items outside the belt,
+// items on the belt, and carried coins, pouches and chests
+const DEFAULT_ENCUMBRANCE_RULES = {
+    countEquipped: false,
+    countBelt: false,
+    countCurrency: false
+};
+
+// Tiers in order of load. A tier applies while the carried weight is at most `upTo` times the
+// bag's capacity; the last tier has no limit (upTo: null)
+const DEFAULT_ENCUMBRANCE_TIERS = [
+    { id: 'light', label: 'Light', upTo: 1, effect: 'No penalty', color: '#28a745' },
+    { id: 'encumbered', label: 'Encumbered', upTo: 1.5, effect: 'Movement is slowed', color: '#ffc107' },
+    { id: 'heavily-encumbered', label: 'Heavily Encumbered', upTo: 2, effect: 'Movement is halved and physical rolls are made at a disadvantage', color: '#fd7e14' },
+    { id: 'immobile', label: 'Immobile', upTo: null, effect: 'You cannot move until you drop some weight', color: '#dc3545' }
+];
+
+const BUILT_IN_RULES_PACKS = {
+    'daggerheart': {
+        id: 'daggerheart',
+        name: 'Daggerheart',
+        itemCategories: {
+            'Gear': ['weapon', 'armor', 'potion', 'flask', 'ammunition'],
+            'Utility': ['adventure', 'tool', 'food', 'map', 'camp'],
+            'Quest': ['npc-item', 'evidence', 'literature', 'magical'],
+            'Crafting': ['materials', 'components'],
+            'Clothing': ['clothing'],
+            'Jewelry': ['jewelry'],
+            'Personal': ['personal'] // Items can be manually relocated here
+        },
+        defaultCategory: 'Personal',
+        itemTypes: [
+            'weapon', 'armor', 'clothing', 'jewelry', 'potion', 'flask', 'ammunition',
+            'adventure', 'tool', 'food', 'map', 'camp',
+            'npc-item', 'evidence', 'literature', 'magical',
+            'materials', 'components', 'personal'
+        ],
+        consumableTypes: ['potion', 'flask', 'ammunition', 'food'],
+        additionalTags: ['Rare', 'Tradable', 'Personal', 'Custom', 'Valuable', 'Consumable', 'Magical', 'Cursed'],
+        encumbranceWeights: {
+            'weapon': 3, 'armor': 10, 'clothing': 3, 'jewelry': 1, 'camp': 2,
+            'potion': 1, 'flask': 1, 'ammunition': 1, 'adventure': 1, 'tool': 1, 'food': 1, 'map': 1,
+            'npc-item': 1, 'evidence': 1, 'literature': 1, 'magical': 1,
+            'materials': 1, 'components': 1, 'personal': 1
+        },
+        abilities: ['Agility', 'Strength', 'Finesse', 'Instinct', 'Presence', 'Knowledge'],
+        bagTypes: {
+            'Standard Backpack': { capacity: 30, consumableSlots: 3, bonus: null },
+            'Adventurer\'s Backpack': { capacity: 45, consumableSlots: 2, bonus: null },
+            'Warrior\'s Backpack': { capacity: 26, consumableSlots: 6, bonus: { ability: 'Finesse', amount: 1, condition: 'combat' } },
+            'Arcane Satchel': { capacity: 22, consumableSlots: 8, bonus: { ability: 'Instinct', amount: 1, condition: 'non-combat' } },
+            'Tinker\'s Pack': { capacity: 20, consumableSlots: 12, bonus: { ability: 'Finesse', amount: 2, condition: 'crafting' } }
+        },
+        defaultBag: 'Standard Backpack',
+        slots: [
+            { id: 'primaryWeapon', label: 'Primary Weapon', group: 'Combat', count: 1, accepts: ['weapon'], hand: 'main' },
+            { id: 'secondaryWeapon', label: 'Secondary Weapon', group: 'Combat', count: 1, accepts: ['weapon'], hand: 'off' },
+            { id: 'armor', label: 'Armor', group: 'Combat', count: 1, accepts: ['armor'] },
+            { id: 'clothing', label: 'Clothing', group: 'Attire', count: 1, accepts: ['clothing'] },
+            { id: 'jewelry', label: 'Jewelry', group: 'Attire', count: 3, accepts: ['jewelry'] },
+            { id: 'belt', label: 'Belt Items', group: 'Belt & Consumables', count: 'bag', accepts: ['*'] }
+        ],
+        encumbranceTiers: DEFAULT_ENCUMBRANCE_TIERS,
+        currency: DEFAULT_CURRENCY
+    },
+    'dnd5e': {
+        id: 'dnd5e',
+        name: 'D&D 5e',
+        itemCategories: {
+            'Weapons & Armor': ['weapon', 'armor', 'shield', 'ammunition'],
+            'Consumables': ['potion', 'scroll', 'poison', 'food'],
+            'Adventuring Gear': ['adventure', 'tool', 'kit', 'focus', 'camp'],
+            'Treasure': ['gem', 'art', 'trade-good', 'magical'],
+            'Other': ['other']
+        },
+        defaultCategory: 'Other',
+        itemTypes: [
+            'weapon', 'armor', 'shield', 'ammunition',
+            'potion', 'scroll', 'poison', 'food',
+            'adventure', 'tool', 'kit', 'focus', 'camp',
+            'gem', 'art', 'trade-good', 'magical', 'other'
+        ],
+        consumableTypes: ['potion', 'scroll', 'poison', 'food', 'ammunition'],
+        additionalTags: ['Attunement', 'Magical', 'Cursed', 'Finesse', 'Heavy', 'Light', 'Thrown', 'Valuable'],
+        encumbranceWeights: {
+            'weapon': 3, 'armor': 20, 'shield': 6, 'ammunition': 1,
+            'potion': 0.5, 'scroll': 0, 'poison': 0, 'food': 2,
+            'adventure': 1, 'tool': 4, 'kit': 5, 'focus': 1, 'camp': 10,
+            'gem': 0, 'art': 1, 'trade-good': 1, 'magical': 1, 'other': 1
+        },
+        abilities: ['Strength', 'Dexterity', 'Constitution', 'Intelligence', 'Wisdom', 'Charisma'],
+        bagTypes: {
+            'Backpack': { capacity: 30, consumableSlots: 4, bonus: null },
+            'Explorer\'s Pack': { capacity: 40, consumableSlots: 4, bonus: null },
+            'Component Pouch': { capacity: 10, consumableSlots: 6, bonus: null },
+            'Bag of Holding': { capacity: 500, consumableSlots: 4, bonus: null }
+        },
+        defaultBag: 'Backpack',
+        slots: [
+            { id: 'primaryWeapon', label: 'Main Hand', group: 'Combat', count: 1, accepts: ['weapon'], hand: 'main' },
+            { id: 'secondaryWeapon', label: 'Off Hand', group: 'Combat', count: 1, accepts: ['weapon', 'shield'], hand: 'off' },
+            { id: 'armor', label: 'Armor', group: 'Combat', count: 1, accepts: ['armor'] },
+            { id: 'belt', label: 'Quick Access', group: 'Belt & Consumables', count: 'bag', accepts: ['*'] }
+        ],
+        encumbranceRules: { countEquipped: true, countBelt: true, countCurrency: true },
+        encumbranceTiers: DEFAULT_ENCUMBRANCE_TIERS,
+        currency: DEFAULT_CURRENCY
+    },
+    'pathfinder2e': {
+        id: 'pathfinder2e',
+        name: 'Pathfinder 2e',
+        itemCategories: {
+            'Held & Worn': ['weapon', 'armor', 'shield', 'ammunition'],
+            'Consumables': ['potion', 'elixir', 'scroll', 'talisman', 'food'],
+            'Gear': ['adventure', 'tool', 'kit', 'camp'],
+            'Treasure': ['gem', 'art', 'magical'],
+            'Other': ['other']
+        },
+        defaultCategory: 'Other',
+        itemTypes: [
+            'weapon', 'armor', 'shield', 'ammunition',
+            'potion', 'elixir', 'scroll', 'talisman', 'food',
+            'adventure', 'tool', 'kit', 'camp',
+            'gem', 'art', 'magical', 'other'
+        ],
+        consumableTypes: ['potion', 'elixir', 'scroll', 'talisman', 'food', 'ammunition'],
+        additionalTags: ['Invested', 'Magical', 'Cursed', 'Agile', 'Finesse', 'Two-Hand', 'Uncommon', 'Rare'],
+        // Bulk: light items are 0.1, negligible items 0
+        encumbranceWeights: {
+            'weapon': 1, 'armor': 2, 'shield': 1, 'ammunition': 0.1,
+            'potion': 0.1, 'elixir': 0.1, 'scroll': 0.1, 'talisman': 0.1, 'food': 0.1,
+            'adventure': 0.1, 'tool': 1, 'kit': 1, 'camp': 1,
+            'gem': 0, 'art': 0.1, 'magical': 0.1, 'other': 0.1
+        },
+        abilities: ['Strength', 'Dexterity', 'Constitution', 'Intelligence', 'Wisdom', 'Charisma'],
+        bagTypes: {
+            'Backpack': { capacity: 5, consumableSlots: 4, bonus: null },
+            'Satchel': { capacity: 2, consumableSlots: 6, bonus: null },
+            'Bandolier': { capacity: 1, consumableSlots: 8, bonus: null }
+        },
+        defaultBag: 'Backpack',
+        slots: [
+            { id: 'primaryWeapon', label: 'Primary Hand', group: 'Combat', count: 1, accepts: ['weapon'], hand: 'main' },
+            { id: 'secondaryWeapon', label: 'Other Hand', group: 'Combat', count: 1, accepts: ['weapon', 'shield'], hand: 'off' },
+            { id: 'armor', label: 'Armor', group: 'Combat', count: 1, accepts: ['armor'] },
+            { id: 'belt', label: 'Worn Consumables', group: 'Belt & Consumables', count: 'bag', accepts: ['*'] }
+        ],
+        encumbranceRules: { countEquipped: true, countBelt: true, countCurrency: true },
+        encumbranceTiers: DEFAULT_ENCUMBRANCE_TIERS,
+        currency: DEFAULT_CURRENCY
+    }
+};
+
+const DEFAULT_RULES_PACK_ID = 'daggerheart';
+
+// When a modifier applies; the phrase completes "+1 to Finesse rolls ..." and applies() checks
+// the roll context passed to getActiveModifiers(). Conditions only hold when the context says so.
+const MODIFIER_CONDITIONS = {
+    'always': { label: 'Always', phrase: '', applies: () => true },
+    'combat': { label: 'In combat', phrase: 'in combat', applies: context => context.combat === true },
+    'non-combat': { label: 'Outside of combat', phrase: 'outside of combat', applies: context => context.combat === false },
+    'crafting': { label: 'When crafting', phrase: 'when crafting', applies: context => context.crafting === true }
+};
+
+// Where a gold ledger entry came from
+const GOLD_SOURCES = {
+    'manual': 'Manual change',
+    'loot': 'Loot',
+    'sale': 'Sale',
+    'purchase': 'Purchase',
+    'bank-transfer': 'Bank transfer',
+    'bank-fee': 'Bank fee',
+    'interest': 'Interest',
+    'undo': 'Undo or redo',
+    'adjustment': 'Reconciliation'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.length > 0);
+}
+
+/**
+ * Validate one structured modifier {ability, amount, condition}, returning the list of problems
+ */
+function getModifierErrors(prefix, modifier) {
+    if (!isPlainObject(modifier)) {
+        return [`${prefix} must be an object with ability, amount and condition`];
+    }
+    const errors = [];
+    if (typeof modifier.ability !== 'string' || modifier.ability.length === 0) {
+        errors.push(`${prefix}.ability must be a non-empty string`);
+    }
+    if (typeof modifier.amount !== 'number' || !Number.isFinite(modifier.amount) || modifier.amount === 0) {
+        errors.push(`${prefix}.amount must be a non-zero number`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(MODIFIER_CONDITIONS, modifier.condition)) {
+        errors.push(`${prefix}.condition must be one of: ${Object.keys(MODIFIER_CONDITIONS).join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Validate one bag type, returning the list of problems (empty when valid).
+ * bonus may be null, a structured modifier, or (for older packs) display text.
+ */
+function getBagTypeErrors(prefix, bag) {
+    if (!isPlainObject(bag)) {
+        return [`${prefix} must be an object`];
+    }
+    const errors = [];
+    if (typeof bag.capacity !== 'number' || !(bag.capacity > 0)) {
+        errors.push(`${prefix}.capacity must be a positive number`);
+    }
+    if (!Number.isInteger(bag.consumableSlots) || bag.consumableSlots < 0) {
+        errors.push(`${prefix}.consumableSlots must be a whole number of 0 or more`);
+    }
+    if (bag.bonus !== null && bag.bonus !== undefined && typeof bag.bonus !== 'string') {
+        errors.push(...getModifierErrors(`${prefix}.bonus`, bag.bonus));
+    }
+    return errors;
+}
+
+// A shop change that was refused, such as buying something that has just sold out
+class ShopError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShopError';
+    }
+}
+
+/**
+ * Check a shop's shape: {name, buyBackPercent, items: [{id, item: {name, type, ...}, price, stock}]}.
+ * stock is a whole number, or null for a shop that never runs out.
+ */
+function getShopErrors(prefix, shop) {
+    if (!isPlainObject(shop)) {
+        return [`${prefix} must be an object`];
+    }
+    const errors = [];
+    if (typeof shop.name !== 'string' || shop.name.trim().length === 0) {
+        errors.push(`${prefix}.name is required`);
+    }
+    if (typeof shop.buyBackPercent !== 'number' || !(shop.buyBackPercent >= 0 && shop.buyBackPercent <= 100)) {
+        errors.push(`${prefix}.buyBackPercent must be a number from 0 to 100`);
+    }
+    if (!Array.isArray(shop.items)) {
+        errors.push(`${prefix}.items must be an array`);
+        return errors;
+    }
+    shop.items.forEach((listing, i) => {
+        const listingPrefix = `${prefix}.items[${i}]`;
+        if (!isPlainObject(listing)) {
+            errors.push(`${listingPrefix} must be an object`);
+            return;
+        }
+        if (typeof listing.id !== 'string' || listing.id.length === 0) {
+            errors.push(`${listingPrefix}.id is required`);
+        }
+        if (!isPlainObject(listing.item) || typeof listing.item.name !== 'string' || listing.item.name.trim().length === 0 || typeof listing.item.type !== 'string') {
+            errors.push(`${listingPrefix}.item must have a name and a type`);
+        }
+        if (!Number.isInteger(listing.price) || listing.price < 0) {
+            errors.push(`${listingPrefix}.price must be a whole number of 0 or more`);
+        }
+        if (listing.stock !== null && (!Number.isInteger(listing.stock) || listing.stock < 0)) {
+            errors.push(`${listingPrefix}.stock must be a whole number of 0 or more, or null for unlimited`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Read an older text bonus such as "+2 to Finesse rolls when crafting" as a structured
+ * modifier. Returns null when the text doesn't follow that pattern.
+ */
+function parseModifierText(text) {
+    const match = /^\s*([+-]\d+(?:\.\d+)?)\s+to\s+(.+?)\s+rolls?(?:\s+(.+?))?\s*$/i.exec(text || '');
+    if (!match) return null;
+    const phrase = (match[3] || '').toLowerCase();
+    const condition = Object.keys(MODIFIER_CONDITIONS).find(id => MODIFIER_CONDITIONS[id].phrase === phrase);
+    if (!condition) return null;
+    return { ability: match[2], amount: Number(match[1]), condition };
+}
+
+/**
+ * Validate a rules pack, returning the list of problems (empty when valid)
+ */
+function getRulesPackErrors(pack) {
+    const errors = [];
+    if (!isPlainObject(pack)) {
+        return ['pack must be a JSON object'];
+    }
+
+    if (typeof pack.id !== 'string' || !pack.id) errors.push('"id" must be a non-empty string');
+    if (typeof pack.name !== 'string' || !pack.name) errors.push('"name" must be a non-empty string');
+
+    if (!isStringArray(pack.itemTypes) || pack.itemTypes.length === 0) {
+        errors.push('"itemTypes" must be a non-empty array of strings');
+    }
+    const itemTypes = isStringArray(pack.itemTypes) ? pack.itemTypes : [];
+
+    if (!isPlainObject(pack.itemCategories) || Object.keys(pack.itemCategories).length === 0) {
+        errors.push('"itemCategories" must be an object mapping category names to item types');
+    } else {
+        Object.entries(pack.itemCategories).forEach(([category, types]) => {
+            if (!isStringArray(types)) {
+                errors.push(`itemCategories["${category}"] must be an array of item types`);
+            } else {
+                types.filter(type => !itemTypes.includes(type)).forEach(type => {
+                    errors.push(`itemCategories["${category}"] lists unknown item type "${type}"`);
+                });
+            }
+        });
+        if (!Object.prototype.hasOwnProperty.call(pack.itemCategories, pack.defaultCategory)) {
+            errors.push('"defaultCategory" must name one of the itemCategories');
+        }
+    }
+
+    if (pack.consumableTypes !== undefined && !isStringArray(pack.consumableTypes)) {
+        errors.push('"consumableTypes" must be an array of item types');
+    }
+    if (!isStringArray(pack.additionalTags)) errors.push('"additionalTags" must be an array of strings');
+    if (!isStringArray(pack.abilities)) errors.push('"abilities" must be an array of strings');
+
+    if (!isPlainObject(pack.encumbranceWeights)) {
+        errors.push('"encumbranceWeights" must be an object mapping item types to weights');
+    } else {
+        Object.entries(pack.encumbranceWeights).forEach(([type, weight]) => {
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                errors.push(`encumbranceWeights["${type}"] must be a number of 0 or more`);
+            }
+        });
+    }
+
+    if (pack.encumbranceRules !== undefined) {
+        if (!isPlainObject(pack.encumbranceRules)) {
+            errors.push('"encumbranceRules" must be an object');
+        } else {
+            Object.keys(DEFAULT_ENCUMBRANCE_RULES).forEach(rule => {
+                if (pack.encumbranceRules[rule] !== undefined && typeof pack.encumbranceRules[rule] !== 'boolean') {
+                    errors.push(`encumbranceRules.${rule} must be true or false`);
+                }
+            });
+        }
+    }
+
+    if (pack.encumbranceTiers !== undefined) {
+        const tiers = pack.encumbranceTiers;
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            errors.push('"encumbranceTiers" must be a non-empty array of tiers');
+        } else {
+            let previousLimit = 0;
+            tiers.forEach((tier, i) => {
+                if (!isPlainObject(tier) || typeof tier.id !== 'string' || !tier.id || typeof tier.label !== 'string' || !tier.label) {
+                    errors.push(`encumbranceTiers[${i}] must have a string "id" and "label"`);
+                    return;
+                }
+                if (tier.effect !== undefined && typeof tier.effect !== 'string') {
+                    errors.push(`encumbrance tier "${tier.id}" effect must be text`);
+                }
+                if (tier.color !== undefined && typeof tier.color !== 'string') {
+                    errors.push(`encumbrance tier "${tier.id}" color must be a CSS colour`);
+                }
+                if (i === tiers.length - 1) {
+                    if (tier.upTo !== null) errors.push(`the last encumbrance tier "${tier.id}" must have "upTo": null`);
+                } else if (typeof tier.upTo !== 'number' || !(tier.upTo > previousLimit)) {
+                    errors.push(`encumbrance tier "${tier.id}" upTo must be a number above the previous tier's`);
+                } else {
+                    previousLimit = tier.upTo;
+                }
+            });
+        }
+    }
+
+    if (!isPlainObject(pack.bagTypes) || Object.keys(pack.bagTypes).length === 0) {
+        errors.push('"bagTypes" must be an object with at least one bag');
+    } else {
+        Object.entries(pack.bagTypes).forEach(([bagName, bag]) => {
+            errors.push(...getBagTypeErrors(`bagTypes["${bagName}"]`, bag));
+        });
+        if (!Object.prototype.hasOwnProperty.call(pack.bagTypes, pack.defaultBag)) {
+            errors.push('"defaultBag" must name one of the bagTypes');
+        }
+    }
+
+    if (pack.tagModifiers !== undefined) {
+        if (!isPlainObject(pack.tagModifiers)) {
+            errors.push('"tagModifiers" must be an object mapping tags to lists of modifiers');
+        } else {
+            Object.entries(pack.tagModifiers).forEach(([tag, modifiers]) => {
+                if (!Array.isArray(modifiers)) {
+                    errors.push(`tagModifiers["${tag}"] must be an array of modifiers`);
+                    return;
+                }
+                modifiers.forEach((modifier, i) => {
+                    errors.push(...getModifierErrors(`tagModifiers["${tag}"][${i}]`, modifier));
+                });
+            });
+        }
+    }
+
+    if (!Array.isArray(pack.slots) || pack.slots.length === 0) {
+        errors.push('"slots" must be a non-empty array of slot definitions');
+    } else {
+        const seen = new Set();
+        pack.slots.forEach((slot, i) => {
+            if (!isPlainObject(slot) || typeof slot.id !== 'string' || !slot.id) {
+                errors.push(`slots[${i}] must have a string "id"`);
+                return;
+            }
+            if (seen.has(slot.id)) errors.push(`slots[${i}] repeats the id "${slot.id}"`);
+            seen.add(slot.id);
+            if (typeof slot.label !== 'string' || !slot.label) errors.push(`slot "${slot.id}" must have a "label"`);
+            if (typeof slot.group !== 'string' || !slot.group) errors.push(`slot "${slot.id}" must have a "group"`);
+            if (slot.count !== 'bag' && (!Number.isInteger(slot.count) || slot.count < 1)) {
+                errors.push(`slot "${slot.id}" count must be a positive whole number or "bag"`);
+            }
+            if (!isStringArray(slot.accepts) || slot.accepts.length === 0) {
+                errors.push(`slot "${slot.id}" must list the item types it "accepts" (or ["*"])`);
+            }
+            if (slot.hand !== undefined && !['main', 'off'].includes(slot.hand)) {
+                errors.push(`slot "${slot.id}" hand must be "main" or "off"`);
+            } else if (slot.hand !== undefined && slot.count !== 1) {
+                errors.push(`hand slot "${slot.id}" must have a count of 1`);
+            }
+        });
+        ['main', 'off'].forEach(hand => {
+            if (pack.slots.filter(slot => slot && slot.hand === hand).length > 1) {
+                errors.push(`only one slot can be the "${hand}" hand`);
+            }
+        });
+    }
+
+    const currency = pack.currency;
+    if (!isPlainObject(currency) || typeof currency.name !== 'string' || !Array.isArray(currency.denominations)) {
+        errors.push('"currency" must have a "name" and a "denominations" array');
+    } else {
+        const ids = currency.denominations.map(denomination => denomination && denomination.id);
+        ['coins', 'pouches', 'chest'].forEach(id => {
+            if (!ids.includes(id)) errors.push(`currency.denominations must include "${id}"`);
+        });
+        currency.denominations.forEach((denomination, i) => {
+            if (!isPlainObject(denomination) || typeof denomination.label !== 'string' ||
+                !Number.isInteger(denomination.max) || denomination.max < 1) {
+                errors.push(`currency.denominations[${i}] must have a "label" and a positive whole "max"`);
+            } else if (denomination.weight !== undefined &&
+                (typeof denomination.weight !== 'number' || !Number.isFinite(denomination.weight) || denomination.weight < 0)) {
+                errors.push(`currency.denominations[${i}].weight must be a number of 0 or more`);
+            }
+        });
+        if (!Number.isInteger(currency.equippedPouchLimit) || currency.equippedPouchLimit < 0) {
+            errors.push('currency.equippedPouchLimit must be a whole number of 0 or more');
+        }
+        if (currency.overflow !== undefined && !['chest', 'bank'].includes(currency.overflow)) {
+            errors.push('currency.overflow must be "chest" or "bank"');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a rules pack (object or JSON string) and return it, or throw a RulesPackError
+ */
+function loadRulesPack(source) {
+    let pack = source;
+    if (typeof source === 'string') {
+        try {
+            pack = JSON.parse(source);
+        } catch (error) {
+            throw new RulesPackError(`Rules pack is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const errors = getRulesPackErrors(pack);
+    if (errors.length > 0) {
+        const label = isPlainObject(pack) && pack.name ? `Rules pack "${pack.name}" is invalid` : 'Rules pack is invalid';
+        throw new RulesPackError(label, errors);
+    }
+
+    return pack;
+}
+
+// ===== DICE =====
+/**
+ * Roll a dice expression such as "1d6", "2d8+3" or "d20+1d4-1". Returns
+ * { expression, rolls: [{sides, value}], total }, or null if the expression can't be read.
+ */
+function rollDice(expression, random = Math.random) {
+    const source = String(expression || '').replace(/\s+/g, '').toLowerCase();
+    if (!/^[+-]?(\d*d\d+|\d+)([+-](\d*d\d+|\d+))*$/.test(source)) return null;
+    
+    const rolls = [];
+    let total = 0;
+    for (const term of source.match(/[+-]?[^+-]+/g)) {
+        const sign = term.startsWith('-') ? -1 : 1;
+        const dice = /^[+-]?(\d*)d(\d+)$/.exec(term);
+        if (!dice) {
+            total += sign * parseInt(term.replace(/^[+-]/, ''));
+            continue;
+        }
+        const count = dice[1] === '' ? 1 : parseInt(dice[1]);
+        const sides = parseInt(dice[2]);
+        if (count < 1 || count > 100 || sides < 1) return null;
+        for (let i = 0; i < count; i++) {
+            const value = Math.floor(random() * sides) + 1;
+            rolls.push({ sides, value });
+            total += sign * value;
+        }
+    }
+    return { expression: String(expression).trim(), rolls, total };
+}
+
 class EquipmentSystem {
     constructor(containerId, options = {}) {
         this.containerId = containerId;
@@ -42,12 +592,33 @@ class EquipmentSystem {
             onDataChanged: options.onDataChanged || (() => {}),
             onEncumbranceChanged: options.onEncumbranceChanged || (() => {}),
             onEquipmentChanged: options.onEquipmentChanged || (() => {}),
+            // Called with {item, time, roll, charges, quantity, removed} whenever an item is used
+            onItemUsed: options.onItemUsed || (() => {}),
+            // Name recorded as "by" on gold ledger entries
+            playerName: options.playerName || null,
             // Initial data
             initialData: options.initialData || null,
+            // Rules pack id, pack object or JSON string (defaults to Daggerheart)
+            rulesPack: options.rulesPack || null,
+            // Bag types the table added for this room, keyed by name, and who may edit them
+            customBagTypes: options.customBagTypes || {},
+            canManageBags: options.canManageBags === true,
+            onCustomBagTypesChanged: options.onCustomBagTypesChanged || (() => {}),
+            // Shops the GM runs for this room, keyed by id, and who may edit them.
+            // onShopUpdate(shopId, update) stores a change to one shop; see updateShop()
+            shops: options.shops || {},
+            canManageShops: options.canManageShops === true,
+            onShopUpdate: options.onShopUpdate || null,
             // UI options
             enableEncumbranceWarning: options.enableEncumbranceWarning !== false,
             enableGoldTracking: options.enableGoldTracking !== false,
             enableBagSelection: options.enableBagSelection !== false,
+            // Number of undo steps kept
+            historyLimit: options.historyLimit || 50,
+            // Number of uses remembered on each item
+            usageHistoryLimit: options.usageHistoryLimit || 20,
+            // A bank pays interest at most once in this many hours
+            interestPeriodHours: options.interestPeriodHours || 24,
             ...options
         };
         
@@ -57,375 +628,654 @@ class EquipmentSystem {
     // ===== EQUIPMENT DATA STRUCTURE =====
     getDefaultData() {
         return {
-            // Equipped items (visual slots on character silhouette)
-            equipped: {
-                primaryWeapon: null,    // Left hand
-                secondaryWeapon: null,  // Right hand
-                armor: null,            // Head/torso
-                clothing: null,         // Chest
-                jewelry: [null, null, null], // Neck area (3 slots)
-                belt: [null, null, null, null, null], // Waist area - consumables/quest items (5 slots)
-            },
+            // Version of the stored shape (see equipment-schema.js)
+            schemaVersion: equipmentSchema.EQUIPMENT_SCHEMA_VERSION,
+            // Equipped items, keyed by the slot ids of the rules pack's slot layout
+            equipped: this.getEmptyEquipped(),
             // All items inventory organized by category
-            inventory: {
-                'Gear': [],
-                'Utility': [],
-                'Quest': [],
-                'Crafting': [],
-                'Personal': []
-            },
-            // Gold tracking
+            inventory: Object.fromEntries(Object.keys(this.itemCategories).map(category => [category, []])),
+            // Gold tracking. Amounts are counted in coins; coins, pouches and chests are
+            // views derived from them (see getGoldDenominations)
             gold: {
-                coins: 0, // 0-10
-                pouches: 0, // 0-10
-                chest: 0, // 0-1
+                amount: 0, // Carried gold
                 equippedPouches: 0, // 0-2 (equipped on person)
-                banks: [] // Array of {location: string, chests: number}
+                banks: [], // Array of {id, location, amount, items, feePercent?, interestPercent?, lastInterestPaid?}
+                // Append-only record of every change in value (see recordGoldTransaction)
+                ledger: []
             },
             // Search and filter state
             searchTerm: '',
             selectedCategory: 'All',
             selectedTags: [],
             // Bag selection
-            selectedBag: 'Standard Backpack'
+            selectedBag: this.rulesPack.defaultBag,
+            // Saved equipment configurations: {id, name, slots: {slotId: itemId | [itemId, ...]}}
+            loadouts: []
         };
     }
 
     // ===== ITEM TYPES AND CATEGORIES =====
+    // All game tables come from the active rules pack (see BUILT_IN_RULES_PACKS)
     get itemCategories() {
-        return {
-            'Gear': ['weapon', 'armor', 'potion', 'flask', 'ammunition'],
-            'Utility': ['adventure', 'tool', 'food', 'map', 'camp'],
-            'Quest': ['npc-item', 'evidence', 'literature', 'magical'],
-            'Crafting': ['materials', 'components'],
-            'Personal': ['personal'] // Items can be manually relocated here
-        };
+        return this.rulesPack.itemCategories;
     }
 
     get itemTypes() {
-        return [
-            'weapon', 'armor', 'potion', 'flask', 'ammunition',
-            'adventure', 'tool', 'food', 'map', 'camp',
-            'npc-item', 'evidence', 'literature', 'magical',
-            'materials', 'components', 'personal'
-        ];
+        return this.rulesPack.itemTypes;
     }
 
     get additionalTags() {
-        return [
-            'Rare', 'Tradable', 'Personal', 'Custom', 'Valuable', 'Consumable', 'Magical', 'Cursed'
-        ];
+        return this.rulesPack.additionalTags;
     }
 
     get encumbranceWeights() {
-        return {
-            'weapon': 3,
-            'armor': 10,
-            'clothing': 3,
-            'camp': 2,
-            'potion': 1,
-            'flask': 1,
-            'ammunition': 1,
-            'adventure': 1,
-            'tool': 1,
-            'food': 1,
-            'map': 1,
-            'npc-item': 1,
-            'evidence': 1,
-            'literature': 1,
-            'magical': 1,
-            'materials': 1,
-            'components': 1,
-            'personal': 1
-        };
+        return this.rulesPack.encumbranceWeights;
+    }
+
+    get consumableTypes() {
+        return this.rulesPack.consumableTypes || [];
     }
 
     get abilities() {
-        return [
-            'Agility', 'Strength', 'Finesse', 
-            'Instinct', 'Presence', 'Knowledge'
-        ];
+        return this.rulesPack.abilities;
     }
 
+    // The rules pack's bags followed by the room's custom bags
     get bagTypes() {
-        return {
-            'Standard Backpack': {
-                capacity: 30,
-                consumableSlots: 3,
-                bonus: null
-            },
-            'Adventurer\'s Backpack': {
-                capacity: 45,
-                consumableSlots: 2,
-                bonus: null
-            },
-            'Warrior\'s Backpack': {
-                capacity: 26,
-                consumableSlots: 6,
-                bonus: '+1 to Finesse rolls in combat'
-            },
-            'Arcane Satchel': {
-                capacity: 22,
-                consumableSlots: 8,
-                bonus: '+1 to Instinct rolls outside of combat'
-            },
-            'Tinker\'s Pack': {
-                capacity: 20,
-                consumableSlots: 12,
-                bonus: '+2 to Finesse rolls when crafting'
-            }
-        };
+        return { ...this.rulesPack.bagTypes, ...this.customBagTypes };
     }
 
-    // ===== INITIALIZATION =====
-    init() {
-        this.data = this.options.initialData || this.getDefaultData();
-        this.setupStyles();
-        this.render();
-        this.updateEncumbranceDisplay();
+    get slotLayout() {
+        return this.rulesPack.slots;
     }
 
-    // ===== UTILITY FUNCTIONS =====
-    calculateEncumbrance() {
-        let totalWeight = 0;
-        
-        // Calculate weight of UNEQUIPPED items only
-        Object.values(this.data.inventory).forEach(categoryItems => {
-            categoryItems.forEach(item => {
-                if (!this.isItemEquipped(item, item.type)) {
-                    totalWeight += this.encumbranceWeights[item.type] || 1;
-                }
-            });
-        });
-        
-        return totalWeight;
+    get currency() {
+        return this.rulesPack.currency;
     }
 
-    isEncumbered() {
-        const selectedBag = this.bagTypes[this.data.selectedBag] || this.bagTypes['Standard Backpack'];
-        return this.calculateEncumbrance() > selectedBag.capacity;
+    get encumbranceRules() {
+        return { ...DEFAULT_ENCUMBRANCE_RULES, ...this.rulesPack.encumbranceRules };
     }
 
-    getMaxCapacity() {
-        const selectedBag = this.bagTypes[this.data.selectedBag] || this.bagTypes['Standard Backpack'];
-        return selectedBag.capacity;
+    // Packs written before tiers existed use the defaults
+    get encumbranceTiers() {
+        return this.rulesPack.encumbranceTiers || DEFAULT_ENCUMBRANCE_TIERS;
     }
 
-    getItemCategory(itemType) {
-        for (const [category, types] of Object.entries(this.itemCategories)) {
-            if (types.includes(itemType)) {
-                return category;
-            }
-        }
-        return 'Personal'; // Default category
+    // ===== RULES PACKS =====
+    static get rulesPacks() {
+        return EquipmentSystem.registeredRulesPacks;
     }
 
-    getAllItems() {
-        let allItems = [];
-        Object.values(this.data.inventory).forEach(categoryItems => {
-            allItems = allItems.concat(categoryItems);
-        });
-        return allItems;
+    /**
+     * Register a custom rules pack (object or JSON string) so it can be selected by id.
+     * Throws a RulesPackError if the pack is invalid.
+     */
+    static registerRulesPack(source) {
+        const pack = loadRulesPack(source);
+        EquipmentSystem.registeredRulesPacks[pack.id] = pack;
+        return pack;
     }
 
-    searchItems(searchTerm, category = 'All', tags = []) {
-        let items = this.getAllItems();
-        
-        // Filter by search term
-        if (searchTerm) {
-            items = items.filter(item => 
-                item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                (item.description && item.description.toLowerCase().includes(searchTerm.toLowerCase())) ||
-                (item.features && item.features.toLowerCase().includes(searchTerm.toLowerCase()))
-            );
+    resolveRulesPack(packOrId) {
+        if (!packOrId) {
+            return EquipmentSystem.rulesPacks[DEFAULT_RULES_PACK_ID];
         }
-        
-        // Filter by category
-        if (category !== 'All') {
-            items = items.filter(item => this.getItemCategory(item.type) === category);
+        if (typeof packOrId === 'string' && EquipmentSystem.rulesPacks[packOrId]) {
+            return EquipmentSystem.rulesPacks[packOrId];
         }
-        
-        // Filter by tags
-        if (tags.length > 0) {
-            items = items.filter(item => 
-                item.tags && tags.every(tag => item.tags.includes(tag))
-            );
+        if (typeof packOrId === 'string' && !packOrId.trim().startsWith('{')) {
+            throw new RulesPackError(`Unknown rules pack "${packOrId}"`);
         }
-        
-        return items;
+        return loadRulesPack(packOrId);
     }
 
-    // ===== RENDERING METHODS =====
-    render() {
-        const container = document.getElementById(this.containerId);
-        if (!container) {
-            console.error(`Equipment System: Container with ID '${this.containerId}' not found!`);
-            return;
-        }
-        
-        const encumbrance = this.calculateEncumbrance();
-        const isOverEncumbered = this.isEncumbered();
-        const hasItems = Object.values(this.data.inventory).some(categoryItems => categoryItems.length > 0);
-        
-        container.innerHTML = `
-            <div class="equipment-container">
-                <div class="equipment-header">
-                    <h2>Equipment System</h2>
-                    ${(hasItems && isOverEncumbered && this.options.enableEncumbranceWarning) ? 
-                        '<div class="encumbrance-warning">⚠️ ENCUMBERED - Carrying too much weight!</div>' : ''}
-                    
-                    ${this.options.enableEncumbranceWarning ? `
-                        <div class="encumbrance-display">
-                            <span class="encumbrance-text">Encumbrance: ${encumbrance}/${this.getMaxCapacity()} units</span>
-                            <div class="encumbrance-bar">
-                                <div class="encumbrance-fill" style="width: ${Math.min((encumbrance / this.getMaxCapacity()) * 100, 100)}%"></div>
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${this.options.enableBagSelection ? `
-                        <div class="bag-selector">
-                            <label for="bag-select">Bag Type:</label>
-                            <select id="bag-select">
-                                ${Object.keys(this.bagTypes).map(bagName => 
-                                    `<option value="${bagName}" ${this.data.selectedBag === bagName ? 'selected' : ''}>${bagName}</option>`
-                                ).join('')}
-                            </select>
-                            <div class="bag-info">
-                                <span class="bag-capacity">Capacity: ${this.getMaxCapacity()} units</span>
-                                <span class="bag-consumables">Belt Slots: ${this.bagTypes[this.data.selectedBag].consumableSlots}</span>
-                                ${this.bagTypes[this.data.selectedBag].bonus ? `<span class="bag-bonus">${this.bagTypes[this.data.selectedBag].bonus}</span>` : ''}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    <div class="equipment-nav">
-                        <button class="equipment-nav-btn active" data-section="overview">Overview</button>
-                        <button class="equipment-nav-btn" data-section="inventory">Inventory</button>
-                        ${this.options.enableGoldTracking ? '<button class="equipment-nav-btn" data-section="gold">Gold Tracker</button>' : ''}
-                    </div>
-                </div>
-                
-                <div id="equipment-content">
-                    ${this.renderOverviewContent()}
-                </div>
-            </div>
-        `;
+    /**
+     * Switch the active rules pack. Items whose category no longer exists are moved to
+     * the category their type maps to in the new pack, and equipped items the new slot
+     * layout has no room for are unequipped. The player is told what came off, and the
+     * re-fitted data is saved.
+     */
+    setRulesPack(packOrId) {
+        this.rulesPack = this.resolveRulesPack(packOrId);
         
-        this.attachEventListeners();
+        if (this.data) {
+            const unequipped = [];
+            this.applyRulesPackToData((code, message) => unequipped.push(message));
+            // Snapshots from the old pack would bring back its categories and slots
+            this.resetHistory();
+            this.options.onDataChanged(this.data);
+            this.render();
+            this.updateEncumbranceDisplay();
+            if (unequipped.length > 0) {
+                this.showMessage(unequipped.join('<br>'), 'Rules pack changed');
+            }
+        }
+        return this.rulesPack;
     }
 
-    renderOverviewContent() {
+    getRulesPack() {
+        return this.rulesPack;
+    }
+
+    // `report(code, message)` hears about equipped items that no longer fit the layout
+    applyRulesPackToData(report = null) {
+        const inventory = this.data.inventory || {};
+        const rehomed = {};
+        Object.keys(this.itemCategories).forEach(category => {
+            rehomed[category] = [];
+        });
+        
+        Object.entries(inventory).forEach(([category, categoryItems]) => {
+            (categoryItems || []).forEach(item => {
+                const target = rehomed[category] ? category : this.getItemCategory(item.type);
+                rehomed[target].push(item);
+            });
+        });
+        this.data.inventory = rehomed;
+        
+        this.data.selectedBag = this.resolveBagName(this.data.selectedBag);
+        this.data.equipped = this.normalizeEquipped(this.data.equipped, report);
+    }
+
+    // Loading happens before validate()/repair() run, so what it drops is logged in the data for them to report
+    loadData(data) {
+        this.data = { ...this.getDefaultData(), ...this.migrateData(data) };
+        this.applyRulesPackToData((code, message) => {
+            this.data.repairLog = [...(Array.isArray(this.data.repairLog) ? this.data.repairLog : []), { code, message }];
+        });
+    }
+
+    // Upgrade saved data to the current schema version before it is merged with the defaults
+    migrateData(data) {
+        return equipmentSchema.migrateEquipmentData(data || {}, {
+            getItemCategory: (type) => this.getItemCategory(type),
+            getDenominationValue: (id) => this.getDenominationValue(id)
+        });
+    }
+
+    getDenomination(id) {
+        return this.currency.denominations.find(denomination => denomination.id === id);
+    }
+
+    get slotGroupIcons() {
+        return {
+            'Combat': '⚔️',
+            'Attire': '👕',
+            'Belt & Consumables': '🎒'
+        };
+    }
+
+    getSlotDefinition(slotId) {
+        return this.slotLayout.find(slot => slot.id === slotId) || null;
+    }
+
+    // Slots with more than one position (or sized by the bag) are stored as arrays
+    isMultiSlot(slot) {
+        return slot.count === 'bag' || slot.count > 1;
+    }
+
+    getSlotCount(slot) {
+        return slot.count === 'bag' ? this.getSelectedBag().consumableSlots : slot.count;
+    }
+
+    getSlotGroups() {
+        const groups = [];
+        this.slotLayout.forEach(slot => {
+            let group = groups.find(entry => entry.name === slot.group);
+            if (!group) {
+                group = { name: slot.group, slots: [] };
+                groups.push(group);
+            }
+            group.slots.push(slot);
+        });
+        return groups;
+    }
+
+    // ===== HANDS AND WEAPON PROPERTIES =====
+    get handednessOptions() {
+        return {
+            'one-handed': 'One-handed',
+            'two-handed': 'Two-handed',
+            'versatile': 'Versatile (one or two hands)',
+            'off-hand': 'Off-hand only',
+            'shield': 'Shield'
+        };
+    }
+
+    getHandedness(item) {
+        if (item && this.handednessOptions[item.handedness]) return item.handedness;
+        return item && item.type === 'shield' ? 'shield' : 'one-handed';
+    }
+
+    getHandSlots() {
+        return {
+            main: this.slotLayout.find(slot => slot.hand === 'main') || null,
+            off: this.slotLayout.find(slot => slot.hand === 'off') || null
+        };
+    }
+
+    // True when the same item fills both the main and off hand
+    isHeldTwoHanded(item) {
+        const { main, off } = this.getHandSlots();
+        if (!item || !main || !off) return false;
         const equipped = this.data.equipped;
-        const gold = this.data.gold;
+        return equipped[main.id] === item.id && equipped[off.id] === item.id;
+    }
+
+    // Slots that take this item type; catch-all ('*') slots only when nothing names the type
+    getSlotsForType(type) {
+        const specific = this.slotLayout.filter(slot => slot.accepts.includes(type));
+        return specific.length > 0 ? specific : this.slotLayout.filter(slot => slot.accepts.includes('*'));
+    }
+
+    getEmptyEquipped() {
+        const equipped = {};
+        this.slotLayout.forEach(slot => {
+            equipped[slot.id] = this.isMultiSlot(slot) ? Array(this.getSlotCount(slot)).fill(null) : null;
+        });
+        return equipped;
+    }
+
+    // Reshape saved equipped data to the slot layout, keeping whatever still fits.
+    // Each item that doesn't fit is passed to `report` as a 'slot-overflow' issue, or
+    // 'missing-slot' when the layout has no such slot at all.
+    normalizeEquipped(equipped = {}, report = null) {
+        const normalized = {};
+        const dropped = (slot, ids) => {
+            ids.filter(id => id !== null && id !== undefined).forEach(id => {
+                const name = this.findInventoryItem(id)?.item.name || `Item ${id}`;
+                report?.('slot-overflow', `${name} did not fit in ${slot.label}, so it was unequipped.`);
+            });
+        };
+        Object.keys(equipped).filter(slotId => !this.getSlotDefinition(slotId)).forEach(slotId => {
+            [].concat(equipped[slotId]).filter(id => id !== null && id !== undefined).forEach(id => {
+                const name = this.findInventoryItem(id)?.item.name || `Item ${id}`;
+                report?.('missing-slot', `${name} was unequipped because the ${this.rulesPack.name} rules have no ${slotId} slot.`);
+            });
+        });
+        this.slotLayout.forEach(slot => {
+            const current = equipped[slot.id];
+            if (this.isMultiSlot(slot)) {
+                const count = this.getSlotCount(slot);
+                const entries = Array.isArray(current) ? current.slice() : [current || null];
+                while (entries.length < count) entries.push(null);
+                dropped(slot, entries.splice(count));
+                normalized[slot.id] = entries;
+            } else {
+                const entries = (Array.isArray(current) ? current : [current]).filter(entry => entry);
+                dropped(slot, entries.slice(1));
+                normalized[slot.id] = entries[0] || null;
+            }
+        });
+        return normalized;
+    }
+
+    // Equipped slots hold inventory item ids; this resolves one position to the live item
+    getEquippedItem(slotId, index = null) {
+        const contents = this.data.equipped[slotId];
+        const id = Array.isArray(contents) ? contents[index] : contents;
+        if (id === null || id === undefined) return null;
+        return this.findInventoryItem(id)?.item || null;
+    }
+
+    // A slot's items in the same shape as data.equipped (an array for multi slots)
+    getSlotContents(slotId) {
+        const contents = this.data.equipped[slotId];
+        if (Array.isArray(contents)) {
+            return contents.map((id, index) => this.getEquippedItem(slotId, index));
+        }
+        return this.getEquippedItem(slotId);
+    }
+
+    setEquippedItem(slotId, index, item) {
+        const id = item ? item.id : null;
+        if (Array.isArray(this.data.equipped[slotId])) {
+            this.data.equipped[slotId][index] = id;
+        } else {
+            this.data.equipped[slotId] = id;
+        }
+    }
+
+    getSelectedBag() {
+        const bagName = this.data ? this.data.selectedBag : null;
+        return this.bagTypes[bagName] || this.bagTypes[this.rulesPack.defaultBag];
+    }
+
+    // ===== INITIALIZATION =====
+    init() {
+        this.rulesPack = this.resolveRulesPack(this.options.rulesPack);
+        this.setCustomBagTypes(this.options.customBagTypes);
+        this.setShops(this.options.shops);
+        this.loadData(this.options.initialData);
+        this.resetHistory();
+        this.resetLedgerFilters();
+        this.attachHistoryShortcuts();
+        this.setupStyles();
+        this.render();
+        this.updateEncumbranceDisplay();
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+    calculateEncumbrance() {
+        const sources = this.getWeightSources();
+        return this.roundWeight(sources.reduce((total, source) => total + source.weight, 0));
+    }
+
+    // The weight carried if the equipped slots held `equipped` instead. The swap is synchronous
+    // and undone before returning, so nothing else ever sees it.
+    calculateEncumbranceWith(equipped) {
+        const current = this.data.equipped;
+        this.data.equipped = equipped;
+        try {
+            return this.calculateEncumbrance();
+        } finally {
+            this.data.equipped = current;
+        }
+    }
+
+    /**
+     * Where the counted weight comes from: packed items always, then equipped items, belt
+     * items and carried currency when the rules pack's encumbranceRules count them.
+     * Returns [{id, label, weight}] in display order.
+     */
+    getWeightSources() {
+        const rules = this.encumbranceRules;
+        const packed = Object.values(this.getEncumbranceBreakdown()).reduce((total, weight) => total + weight, 0);
+        const sources = [{ id: 'packed', label: 'Pack', weight: this.roundWeight(packed) }];
         
-        return `
-            <div class="overview-section">
-                <div class="equipped-items-container">
-                    <h3>Currently Equipped</h3>
-                    <div class="equipped-grid">
-                        <!-- Combat Equipment -->
-                        <div class="equipment-category">
-                            <h4>⚔️ Combat</h4>
-                            <div class="equipment-slots">
-                                <div class="equipment-slot ${equipped.primaryWeapon ? 'filled' : 'empty'}" data-slot="primaryWeapon">
-                                    <div class="slot-label">Primary Weapon</div>
-                                    <div class="slot-content">
-                                        ${equipped.primaryWeapon ? 
-                                            `<div class="equipped-item-name">${equipped.primaryWeapon.name}</div>
-                                             <button class="unequip-btn" data-action="unequip-specific" data-slot="primaryWeapon">×</button>` :
-                                            '<div class="empty-slot">Drop weapon here</div>'
-                                        }
-                                    </div>
-                                </div>
-                                <div class="equipment-slot ${equipped.secondaryWeapon ? 'filled' : 'empty'}" data-slot="secondaryWeapon">
-                                    <div class="slot-label">Secondary Weapon</div>
-                                    <div class="slot-content">
-                                        ${equipped.secondaryWeapon ? 
-                                            `<div class="equipped-item-name">${equipped.secondaryWeapon.name}</div>
-                                             <button class="unequip-btn" data-action="unequip-specific" data-slot="secondaryWeapon">×</button>` :
-                                            '<div class="empty-slot">Drop weapon here</div>'
-                                        }
-                                    </div>
-                                </div>
-                                <div class="equipment-slot ${equipped.armor ? 'filled' : 'empty'}" data-slot="armor">
-                                    <div class="slot-label">Armor</div>
-                                    <div class="slot-content">
-                                        ${equipped.armor ? 
-                                            `<div class="equipped-item-name">${equipped.armor.name}</div>
-                                             <button class="unequip-btn" data-action="unequip-specific" data-slot="armor">×</button>` :
-                                            '<div class="empty-slot">Drop armor here</div>'
-                                        }
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
+        if (rules.countEquipped || rules.countBelt) {
+            // Each item counts once, as belt weight if any of its slots is a belt slot
+            const weights = { equipped: 0, belt: 0 };
+            const seen = new Map();
+            this.slotLayout.forEach(slot => {
+                const contents = this.getSlotContents(slot.id);
+                const isBelt = slot.count === 'bag';
+                (Array.isArray(contents) ? contents : [contents]).forEach(item => {
+                    if (item && (isBelt || !seen.has(item.id))) {
+                        seen.set(item.id, { item, kind: isBelt ? 'belt' : 'equipped' });
+                    }
+                });
+            });
+            seen.forEach(({ item, kind }) => {
+                weights[kind] += this.getItemTotalWeight(item);
+            });
+            if (rules.countEquipped) sources.push({ id: 'equipped', label: 'Worn', weight: this.roundWeight(weights.equipped) });
+            if (rules.countBelt) sources.push({ id: 'belt', label: 'Belt', weight: this.roundWeight(weights.belt) });
+        }
+        
+        if (rules.countCurrency) {
+            const counts = this.getGoldDenominations();
+            const weight = this.currency.denominations.reduce((total, denomination) =>
+                total + (counts[denomination.id] || 0) * (denomination.weight || 0), 0);
+            sources.push({ id: 'currency', label: this.currency.name, weight: this.roundWeight(weight) });
+        }
+        
+        return sources;
+    }
 
-                        <!-- Attire -->
-                        <div class="equipment-category">
-                            <h4>👕 Attire</h4>
-                            <div class="equipment-slots">
-                                <div class="equipment-slot ${equipped.clothing ? 'filled' : 'empty'}" data-slot="clothing">
-                                    <div class="slot-label">Clothing</div>
-                                    <div class="slot-content">
-                                        ${equipped.clothing ? 
-                                            `<div class="equipped-item-name">${equipped.clothing.name}</div>
-                                             <button class="unequip-btn" data-action="unequip-specific" data-slot="clothing">×</button>` :
-                                            '<div class="empty-slot">Drop clothing here</div>'
-                                        }
-                                    </div>
-                                </div>
-                                <div class="jewelry-container">
-                                    <div class="slot-label">💍 Jewelry (${equipped.jewelry.filter(j => j).length}/3)</div>
-                                    <div class="jewelry-slots">
-                                        ${equipped.jewelry.map((item, i) => `
-                                            <div class="equipment-slot jewelry-slot ${item ? 'filled' : 'empty'}" data-slot="jewelry" data-index="${i}">
-                                                <div class="slot-content">
-                                                    ${item ? 
-                                                        `<div class="equipped-item-name">${item.name}</div>
-                                                         <button class="unequip-btn" data-action="unequip-jewelry" data-index="${i}">×</button>` :
-                                                        '<div class="empty-slot">Empty</div>'
-                                                    }
-                                                </div>
-                                            </div>
-                                        `).join('')}
-                                    </div>
-                                </div>
+    // Weight of UNEQUIPPED items only, per inventory category
+    getEncumbranceBreakdown() {
+        const breakdown = {};
+        
+        Object.entries(this.data.inventory).forEach(([category, categoryItems]) => {
+            let categoryWeight = 0;
+            categoryItems.forEach(item => {
+                if (!this.isItemEquipped(item)) {
+                    categoryWeight += this.getItemTotalWeight(item);
+                }
+            });
+            breakdown[category] = this.roundWeight(categoryWeight);
+        });
+        
+        return breakdown;
+    }
+
+    // Per-unit weight: the item's own weight if set (0 and fractions allowed), else the type default
+    getItemWeight(item) {
+        if (typeof item.weight === 'number' && Number.isFinite(item.weight) && item.weight >= 0) {
+            return item.weight;
+        }
+        return this.encumbranceWeights[item.type] ?? 1;
+    }
+
+    // Weight of a whole entry: every unit plus whatever a container counts of its contents
+    getItemTotalWeight(item) {
+        let weight = this.getItemWeight(item) * this.getItemQuantity(item);
+        if (this.isContainer(item) && item.container.contentsCountTowardEncumbrance !== false) {
+            weight += this.getContentsWeight(item);
+        }
+        return weight;
+    }
+
+    roundWeight(weight) {
+        return Math.round(weight * 100) / 100;
+    }
+
+    parseWeightInput(value) {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+        const weight = parseFloat(value);
+        return Number.isFinite(weight) && weight >= 0 ? weight : null;
+    }
+
+    // Past the first (unencumbered) tier
+    isEncumbered() {
+        return this.getEncumbranceTier().index > 0;
+    }
+
+    /**
+     * The encumbrance tier for a carried weight (the current load by default) in a bag of the
+     * given capacity (the current bag's by default), with its position in the rules pack's
+     * encumbranceTiers as `index`
+     */
+    getEncumbranceTier(weight = this.calculateEncumbrance(), capacity = this.getMaxCapacity()) {
+        const tiers = this.encumbranceTiers;
+        const index = tiers.findIndex(tier => tier.upTo === null || weight <= tier.upTo * capacity);
+        const tierIndex = index === -1 ? tiers.length - 1 : index;
+        return { ...tiers[tierIndex], index: tierIndex };
+    }
+
+    getMaxCapacity() {
+        return this.getSelectedBag().capacity;
+    }
+
+    getItemCategory(itemType) {
+        for (const [category, types] of Object.entries(this.itemCategories)) {
+            if (types.includes(itemType)) {
+                return category;
+            }
+        }
+        return this.rulesPack.defaultCategory;
+    }
+
+    getAllItems() {
+        let allItems = [];
+        const collect = (items) => {
+            items.forEach(item => {
+                allItems.push(item);
+                if (this.isContainer(item)) {
+                    collect(this.getContainerContents(item));
+                }
+            });
+        };
+        Object.values(this.data.inventory).forEach(categoryItems => collect(categoryItems));
+        return allItems;
+    }
+
+    itemMatchesSearch(item, searchTerm) {
+        const term = searchTerm.toLowerCase();
+        return item.name.toLowerCase().includes(term) ||
+            (item.description && item.description.toLowerCase().includes(term)) ||
+            (item.features && item.features.toLowerCase().includes(term)) ||
+            (this.isContainer(item) && this.getContainerContents(item).some(child => this.itemMatchesSearch(child, searchTerm)));
+    }
+
+    getItemQuantity(item) {
+        return Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1;
+    }
+
+    isConsumable(item) {
+        return this.consumableTypes.includes(item.type) ||
+               (Array.isArray(item.tags) && item.tags.includes('Consumable'));
+    }
+
+    findInventoryItem(itemId) {
+        for (const [category, categoryItems] of Object.entries(this.data.inventory)) {
+            const index = categoryItems.findIndex(item => item.id === itemId);
+            if (index !== -1) {
+                return { item: categoryItems[index], category, index };
+            }
+        }
+        return null;
+    }
+
+    // Two entries form one stack when everything but id and quantity matches
+    canStackItems(a, b) {
+        if (!a || !b || a.id === b.id) return false;
+        if (this.isContainer(a) || this.isContainer(b)) return false;
+        const fields = ['name', 'type', 'description', 'features', 'diceRoll', 'rollOnUse', 'ability', 'handedness'];
+        if (fields.some(field => (a[field] || null) !== (b[field] || null))) return false;
+        if (JSON.stringify(this.getItemCharges(a)) !== JSON.stringify(this.getItemCharges(b))) return false;
+        if (this.getItemWeight(a) !== this.getItemWeight(b)) return false;
+        if (JSON.stringify(a.modifiers || null) !== JSON.stringify(b.modifiers || null)) return false;
+        const tagsA = (a.tags || []).slice().sort().join('|');
+        const tagsB = (b.tags || []).slice().sort().join('|');
+        return tagsA === tagsB;
+    }
+
+    // Random ids stay unique across fast bulk adds, imports and merges from other devices
+    generateItemId() {
+        return this.generateId('item');
+    }
+
+    generateId(prefix) {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return `${prefix}_${crypto.randomUUID()}`;
+        }
+        const random = () => Math.random().toString(36).slice(2, 10);
+        return `${prefix}_${Date.now().toString(36)}_${random()}${random()}`;
+    }
+
+    // Item ids come back from data-* attributes as strings
+    parseItemId(value) {
+        return /^\d+$/.test(String(value)) ? Number(value) : value;
+    }
+
+    searchItems(searchTerm, category = 'All', tags = []) {
+        let items = this.getAllItems();
+        
+        // Filter by search term
+        if (searchTerm) {
+            items = items.filter(item => this.itemMatchesSearch(item, searchTerm));
+        }
+        
+        // Filter by category
+        if (category !== 'All') {
+            items = items.filter(item => this.getItemCategory(item.type) === category);
+        }
+        
+        // Filter by tags
+        if (tags.length > 0) {
+            items = items.filter(item => 
+                item.tags && tags.every(tag => item.tags.includes(tag))
+            );
+        }
+        
+        return items;
+    }
+
+    // ===== RENDERING METHODS =====
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error(`Equipment System: Container with ID '${this.containerId}' not found!`);
+            return;
+        }
+        
+        const encumbrance = this.calculateEncumbrance();
+        const tier = this.getEncumbranceTier(encumbrance);
+        const hasItems = Object.values(this.data.inventory).some(categoryItems => categoryItems.length > 0);
+        
+        container.innerHTML = `
+            <div class="equipment-container">
+                <div class="equipment-header">
+                    <h2>Equipment System</h2>
+                    ${this.options.enableEncumbranceWarning ? `
+                        <div class="encumbrance-warning" style="display: ${hasItems && tier.index > 0 ? 'block' : 'none'}; border-color: ${tier.color || ''}">
+                            ${this.renderEncumbranceWarning(tier)}
+                        </div>
+                        
+                        <div class="encumbrance-display">
+                            <span class="encumbrance-text">Encumbrance: ${encumbrance}/${this.getMaxCapacity()} units</span>
+                            <span class="encumbrance-tier" style="background: ${tier.color || ''}" title="${tier.effect || ''}">${tier.label}</span>
+                            <div class="encumbrance-bar">
+                                ${this.renderEncumbranceFill(tier)}
+                            </div>
+                            <div class="encumbrance-sources">
+                                ${this.renderWeightSources(tier)}
                             </div>
                         </div>
-
-                        <!-- Belt Items -->
-                        <div class="equipment-category">
-                            <h4>🎒 Belt & Consumables</h4>
-                            <div class="belt-container">
-                                <div class="slot-label">Belt Items (${equipped.belt.filter(b => b).length}/${this.bagTypes[this.data.selectedBag].consumableSlots})</div>
-                                <div class="belt-slots">
-                                    ${equipped.belt.map((item, i) => `
-                                        <div class="equipment-slot belt-slot ${item ? 'filled' : 'empty'}" data-slot="belt" data-index="${i}">
-                                            <div class="slot-content">
-                                                ${item ? 
-                                                    `<div class="equipped-item-name">${item.name}</div>
-                                                     <div class="item-type">${item.type}</div>
-                                                     <button class="unequip-btn" data-action="unequip-belt" data-index="${i}">×</button>` :
-                                                    '<div class="empty-slot">Empty</div>'
-                                                }
-                                            </div>
-                                        </div>
-                                    `).join('')}
-                                </div>
+                    ` : ''}
+                    
+                    ${this.options.enableBagSelection ? `
+                        <div class="bag-selector">
+                            <label for="bag-select">Bag Type:</label>
+                            <div class="bag-select-row">
+                                <select id="bag-select">
+                                    ${this.renderBagOptions()}
+                                </select>
+                                ${this.options.canManageBags ? '<button class="button" data-action="manage-bags">Manage Bags</button>' : ''}
+                            </div>
+                            <div class="bag-info">
+                                ${this.renderBagInfo()}
                             </div>
                         </div>
+                    ` : ''}
+                    
+                    <div class="equipment-nav">
+                        <button class="equipment-nav-btn active" data-section="overview">Overview</button>
+                        <button class="equipment-nav-btn" data-section="inventory">Inventory</button>
+                        ${this.options.enableGoldTracking ? `<button class="equipment-nav-btn" data-section="gold">${this.currency.name} Tracker</button>` : ''}
+                        ${this.options.enableGoldTracking ? '<button class="equipment-nav-btn" data-section="shops">Shops</button>' : ''}
+                        <button class="equipment-nav-btn" data-section="history">History</button>
                     </div>
                 </div>
                 
+                <div id="equipment-content">
+                    ${this.renderOverviewContent()}
+                </div>
+            </div>
+        `;
+        
+        this.attachEventListeners();
+    }
+
+    renderOverviewContent() {
+        const gold = this.data.gold;
+        
+        return `
+            <div class="overview-section">
+                <div class="equipped-items-container">
+                    <h3>Currently Equipped</h3>
+                    ${this.renderEquippedGrid()}
+                </div>
+                
+                <div class="active-modifiers">
+                    ${this.renderActiveModifiers()}
+                </div>
+                
+                ${this.renderUnequippedTray()}
+                
+                ${this.renderLoadouts()}
+                
                 ${this.options.enableGoldTracking ? `
                     <div class="gold-summary">
-                        <h3>Gold Summary</h3>
+                        <h3>${this.currency.name} Summary</h3>
                         <div class="gold-display">
                             <div class="gold-amount">
                                 <span class="gold-icon">💰</span>
                                 <span class="gold-text">
-                                    ${gold.chest ? '1 Chest + ' : ''}${gold.pouches} Pouches + ${gold.coins} Coins
+                                    ${this.formatGold(gold.amount)}
                                 </span>
                             </div>
                             <div class="gold-equipped">
@@ -433,7 +1283,7 @@ class EquipmentSystem {
                             </div>
                             ${gold.banks.length > 0 ? `
                                 <div class="gold-banks">
-                                    <span class="bank-gold">Banks: ${gold.banks.reduce((total, bank) => total + bank.chests, 0)} Chests</span>
+                                    <span class="bank-gold">Banks: ${this.formatGold(gold.banks.reduce((total, bank) => total + bank.amount, 0))}</span>
                                 </div>
                             ` : ''}
                         </div>
@@ -443,9 +1293,132 @@ class EquipmentSystem {
         `;
     }
 
-    renderInventorySection() {
+    // Every slot grouped by body area; slots are drop targets wherever the grid is shown
+    renderEquippedGrid() {
         return `
-            <div class="inventory-section">
+            <div class="equipped-grid">
+                ${this.getSlotGroups().map(group => `
+                    <div class="equipment-category">
+                        <h4>${this.slotGroupIcons[group.name] ? `${this.slotGroupIcons[group.name]} ` : ''}${group.name}</h4>
+                        <div class="equipment-slots">
+                            ${group.slots.map(slot => this.renderSlot(slot)).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Unequipped items that have a slot to go to; dragging a slot's item here unequips it
+    renderUnequippedTray() {
+        const items = Object.values(this.data.inventory)
+            .flat()
+            .filter(item => !this.isItemEquipped(item) && this.getSlotsForType(item.type).length > 0);
+        
+        return `
+            <div class="unequipped-tray" data-drop-tray="true" tabindex="0" aria-label="Unequipped items. Drop an equipped item here to unequip it.">
+                <h3>Ready to Equip</h3>
+                <p class="drag-hint">Drag an item onto a slot, or focus it and press Enter, then press Enter on a slot. Drop equipped items here to unequip them.</p>
+                <div class="tray-items">
+                    ${items.length > 0 ?
+                        items.map(item => `
+                            <div class="tray-item" data-drag-item="${item.id}" tabindex="0" role="button" aria-label="${item.name} (${item.type})">
+                                <span class="equipped-item-name">${item.name}</span>
+                                ${this.getItemQuantity(item) > 1 ? `<span class="item-quantity">×${this.getItemQuantity(item)}</span>` : ''}
+                                <span class="item-type">${item.type}</span>
+                            </div>
+                        `).join('') :
+                        '<div class="empty-slot">Everything is equipped</div>'
+                    }
+                </div>
+                <div class="drag-announcer" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    renderLoadouts() {
+        const loadouts = this.data.loadouts || [];
+        
+        return `
+            <div class="loadouts-section">
+                <h3>Loadouts</h3>
+                <div class="loadout-list">
+                    ${loadouts.length > 0 ?
+                        loadouts.map(loadout => `
+                            <div class="loadout-entry">
+                                <span class="loadout-name">${loadout.name}</span>
+                                <span class="loadout-count">${this.countLoadoutItems(loadout)} items</span>
+                                <button class="button primary-btn" data-action="apply-loadout" data-loadout-id="${loadout.id}">Apply</button>
+                                <button class="button" data-action="update-loadout" data-loadout-id="${loadout.id}" title="Replace with what is equipped now">Update</button>
+                                <button class="button" data-action="rename-loadout" data-loadout-id="${loadout.id}">Rename</button>
+                                <button class="button remove-btn" data-action="delete-loadout" data-loadout-id="${loadout.id}">✕</button>
+                            </div>
+                        `).join('') :
+                        '<div class="empty-slot">No saved loadouts yet</div>'
+                    }
+                </div>
+                <button class="add-item-btn" data-action="save-loadout">+ Save Current as Loadout</button>
+            </div>
+        `;
+    }
+
+    renderSlot(slot) {
+        const contents = this.getSlotContents(slot.id);
+        const emptyText = slot.accepts.includes('*') ? 'Drop item here' : `Drop ${slot.accepts[0]} here`;
+        
+        if (!this.isMultiSlot(slot)) {
+            return `
+                <div class="equipment-slot ${contents ? 'filled' : 'empty'}" data-slot="${slot.id}"
+                     data-drop-slot="${slot.id}" tabindex="0" aria-label="${slot.label}${contents ? `: ${contents.name}` : ', empty'}"
+                     ${contents ? `data-drag-slot="${slot.id}"` : ''}>
+                    <div class="slot-label">${slot.label}</div>
+                    <div class="slot-content">
+                        ${contents ? this.renderSlotItem(contents, slot, null) : `<div class="empty-slot">${emptyText}</div>`}
+                    </div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="multi-slot-container ${slot.id}-container">
+                <div class="slot-label">${slot.label} (${contents.filter(entry => entry).length}/${contents.length})</div>
+                <div class="multi-slots ${slot.id}-slots">
+                    ${contents.map((entry, i) => `
+                        <div class="equipment-slot multi-slot ${slot.id}-slot ${entry ? 'filled' : 'empty'}" data-slot="${slot.id}" data-index="${i}"
+                             data-drop-slot="${slot.id}" data-drop-index="${i}" tabindex="0" aria-label="${slot.label} ${i + 1}${entry ? `: ${entry.name}` : ', empty'}"
+                             ${entry ? `data-drag-slot="${slot.id}" data-drag-index="${i}"` : ''}>
+                            <div class="slot-content">
+                                ${entry ? this.renderSlotItem(entry, slot, i) : '<div class="empty-slot">Empty</div>'}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderSlotItem(item, slot, index) {
+        const quantity = this.getItemQuantity(item);
+        const indexAttr = index === null ? '' : `data-index="${index}"`;
+        
+        const handedness = this.getHandedness(item);
+        const twoHandedGrip = slot.hand && this.isHeldTwoHanded(item);
+        
+        return `
+            <div class="equipped-item-name">${item.name}${quantity > 1 ? ` <span class="item-quantity">×${quantity}</span>` : ''}</div>
+            ${index !== null ? `<div class="item-type">${item.type}</div>` : ''}
+            ${slot.hand && handedness !== 'one-handed' ? `<span class="tag handedness-tag">${twoHandedGrip ? '🤲 Both hands' : this.handednessOptions[handedness]}</span>` : ''}
+            ${slot.hand === 'main' && handedness === 'versatile' ?
+                `<button class="grip-btn" data-action="toggle-grip">${twoHandedGrip ? 'One hand' : 'Both hands'}</button>` : ''}
+            ${this.isUsable(item) ?
+                `<button class="use-btn" data-action="use-slot-item" data-slot="${slot.id}" ${indexAttr}>Use${this.getItemCharges(item) ? ` (${this.getItemCharges(item).current}/${this.getItemCharges(item).max})` : ''}</button>` : ''}
+            <button class="unequip-btn" data-action="unequip-specific" data-slot="${slot.id}" ${indexAttr}>×</button>
+        `;
+    }
+
+    renderInventorySection() {
+        return `
+            <div class="inventory-section">
                 <div class="inventory-header">
                     <div class="search-controls">
                         <input type="text" id="item-search" placeholder="Search items..." 
@@ -457,9 +1430,17 @@ class EquipmentSystem {
                             ).join('')}
                         </select>
                         <button class="add-item-btn" data-action="add-item">+ Add Item</button>
+                        ${this.options.enableGoldTracking ? '<button class="add-item-btn buy-item-btn" data-action="buy-item">+ Buy Item</button>' : ''}
                     </div>
                 </div>
                 
+                <div class="inventory-equip-slots">
+                    <h4>Equipment Slots</h4>
+                    <p class="drag-hint">Drag an item card onto a slot, or focus the card and press Enter, then press Enter on a slot.</p>
+                    ${this.renderEquippedGrid()}
+                    <div class="drag-announcer" aria-live="polite"></div>
+                </div>
+                
                 <div class="inventory-content">
                     ${this.renderInventoryCategories()}
                 </div>
@@ -474,18 +1455,15 @@ class EquipmentSystem {
         return categories.map(category => {
             const items = this.data.inventory[category] || [];
             const filteredItems = this.data.searchTerm ? 
-                items.filter(item => 
-                    item.name.toLowerCase().includes(this.data.searchTerm.toLowerCase()) ||
-                    (item.description && item.description.toLowerCase().includes(this.data.searchTerm.toLowerCase())) ||
-                    (item.features && item.features.toLowerCase().includes(this.data.searchTerm.toLowerCase()))
-                ) : items;
+                items.filter(item => this.itemMatchesSearch(item, this.data.searchTerm)) : items;
             
+            // Actions address items by their index in the unfiltered category
             return `
                 <div class="inventory-category">
                     <h4>${category} (${filteredItems.length})</h4>
                     <div class="items-grid compact">
                         ${filteredItems.length > 0 ? 
-                            filteredItems.map((item, index) => this.renderCompactItemCard(item, category, index)).join('') :
+                            filteredItems.map(item => this.renderCompactItemCard(item, category, items.indexOf(item))).join('') :
                             '<div class="no-items">No items in this category</div>'
                         }
                     </div>
@@ -495,25 +1473,48 @@ class EquipmentSystem {
     }
 
     renderCompactItemCard(item, category, index) {
-        const isEquipped = this.isItemEquipped(item, item.type);
-        const weight = this.encumbranceWeights[item.type] || 1;
+        const isEquipped = this.isItemEquipped(item);
+        const quantity = this.getItemQuantity(item);
+        const weight = this.roundWeight(this.getItemWeight(item) * quantity);
+        const canStack = (this.data.inventory[category] || []).some(other => this.canStackItems(item, other));
+        const hasOtherContainers = this.getAllContainers().some(container => container.id !== item.id);
+        const charges = this.getItemCharges(item);
+        // Same drag sources as the overview tray: unequipped items that have a slot to go to
+        const draggable = !isEquipped && this.getSlotsForType(item.type).length > 0;
         
         return `
-            <div class="item-card compact ${isEquipped ? 'equipped' : ''}" data-item-id="${item.id}">
+            <div class="item-card compact ${isEquipped ? 'equipped' : ''}" data-item-id="${item.id}"
+                 ${draggable ? `data-drag-item="${item.id}" tabindex="0" aria-label="${item.name} (${item.type})"` : ''}>
                 <div class="item-header">
+                    ${draggable ? '<span class="drag-handle" aria-hidden="true" title="Drag onto a slot">⠿</span>' : ''}
                     <h5 class="item-name">${item.name}</h5>
+                    ${quantity > 1 ? `<span class="item-quantity">×${quantity}</span>` : ''}
                     <span class="item-weight">${weight}u</span>
+                    ${charges ? `<span class="item-charges" title="Charges">⚡ ${charges.current}/${charges.max}</span>` : ''}
                     ${isEquipped ? '<span class="equipped-indicator">✓</span>' : ''}
                 </div>
                 <div class="item-type">${item.type}</div>
                 ${item.description ? `<div class="item-description">${item.description}</div>` : ''}
                 ${item.tags && item.tags.length > 0 ? `<div class="item-tags">${item.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>` : ''}
+                ${this.getItemModifiers(item).length > 0 ? `<div class="item-modifiers">${this.getItemModifiers(item).map(modifier => `<span class="tag modifier-tag">${this.formatModifier(modifier)}</span>`).join('')}</div>` : ''}
+                ${this.isContainer(item) ? this.renderContainerContents(item) : ''}
+                ${this.renderUsageHistory(item)}
                 <div class="item-actions">
                     ${isEquipped ? 
                         `<button class="equip-btn unequip" data-action="unequip-item" data-type="${item.type}" data-category="${category}" data-index="${index}">Unequip</button>` :
                         `<button class="equip-btn" data-action="equip-item" data-type="${item.type}" data-category="${category}" data-index="${index}">Equip</button>`
                     }
+                    ${this.isUsable(item) ?
+                        `<button class="use-btn" data-action="use-item" data-category="${category}" data-index="${index}" ${charges && charges.current === 0 ? 'disabled' : ''}>${charges ? 'Use' : 'Use 1'}</button>` : ''}
+                    ${charges && charges.recharges && charges.current < charges.max ?
+                        `<button class="use-btn" data-action="recharge-item" data-category="${category}" data-index="${index}">Recharge</button>` : ''}
+                    ${quantity > 1 ?
+                        `<button class="split-btn" data-action="split-item" data-category="${category}" data-index="${index}">Split</button>` : ''}
+                    ${canStack ?
+                        `<button class="stack-btn" data-action="merge-item" data-category="${category}" data-index="${index}">Stack</button>` : ''}
                     <button class="edit-btn" data-action="edit-item" data-category="${category}" data-index="${index}">Edit</button>
+                    ${hasOtherContainers ?
+                        `<button class="move-btn" data-action="move-into-container" data-item-id="${item.id}">Put In…</button>` : ''}
                     <button class="drop-btn" data-action="drop-item" data-category="${category}" data-index="${index}">Drop</button>
                     <button class="sell-btn" data-action="sell-item" data-category="${category}" data-index="${index}">Sell</button>
                 </div>
@@ -521,43 +1522,95 @@ class EquipmentSystem {
         `;
     }
 
+    renderContainerContents(container) {
+        const contents = this.getContainerContents(container);
+        const rules = container.container;
+        
+        return `
+            <div class="container-contents">
+                <div class="container-summary">
+                    📦 ${this.roundWeight(this.getContentsWeight(container))}/${rules.capacity}u
+                    ${rules.contentsCountTowardEncumbrance === false ? '<span class="tag">Weightless contents</span>' : ''}
+                    ${rules.acceptedTypes && rules.acceptedTypes.length > 0 ? `<span class="tag">Holds: ${rules.acceptedTypes.join(', ')}</span>` : ''}
+                </div>
+                ${contents.length > 0 ?
+                    `<ul class="container-tree">${contents.map(child => this.renderContainedItem(child)).join('')}</ul>` :
+                    '<div class="empty-slot">Empty</div>'
+                }
+            </div>
+        `;
+    }
+
+    renderContainedItem(item) {
+        const quantity = this.getItemQuantity(item);
+        
+        return `
+            <li class="contained-item" data-item-id="${item.id}">
+                <div class="contained-item-row">
+                    <span class="item-name">${item.name}${quantity > 1 ? ` <span class="item-quantity">×${quantity}</span>` : ''}</span>
+                    <span class="item-weight">${this.roundWeight(this.getItemTotalWeight(item))}u</span>
+                    <button data-action="move-out-of-container" data-item-id="${item.id}">Take Out</button>
+                    <button data-action="move-into-container" data-item-id="${item.id}">Move…</button>
+                    <button class="drop-btn" data-action="drop-contained-item" data-item-id="${item.id}">Drop</button>
+                </div>
+                ${this.isContainer(item) && this.getContainerContents(item).length > 0 ?
+                    `<ul class="container-tree">${this.getContainerContents(item).map(child => this.renderContainedItem(child)).join('')}</ul>` : ''}
+            </li>
+        `;
+    }
+
     renderGoldSection() {
         if (!this.options.enableGoldTracking) return '';
         
         const gold = this.data.gold;
+        const counts = this.getGoldDenominations();
+        const coins = this.getDenomination('coins');
+        const pouches = this.getDenomination('pouches');
+        const chest = this.getDenomination('chest');
+        const pouchLimit = this.currency.equippedPouchLimit;
+        // Extra chests appear when gold overflows a full chest
+        const chestCircles = Math.max(chest.max, counts.chest);
         
         return `
             <div class="gold-section">
-                <h3>Gold Tracker</h3>
+                <h3>${this.currency.name} Tracker</h3>
+                
+                <div class="gold-change-details">
+                    <select id="gold-source" aria-label="Source of the next change">
+                        ${['manual', 'loot', 'sale', 'purchase'].map(source => `<option value="${source}">${GOLD_SOURCES[source]}</option>`).join('')}
+                    </select>
+                    <input type="text" id="gold-reason" placeholder="Reason for the next change (optional)">
+                </div>
                 
                 <div class="gold-tracker">
                     <div class="gold-category">
-                        <h4>Coins (${gold.coins}/10)</h4>
+                        <h4>${coins.label} (${counts.coins}/${coins.max})</h4>
                         <div class="gold-circles">
-                            ${this.renderGoldCircles('coins', gold.coins, 10)}
+                            ${this.renderGoldCircles('coins', counts.coins, coins.max)}
                         </div>
                     </div>
                     
                     <div class="gold-category">
-                        <h4>Pouches (${gold.pouches}/10)</h4>
+                        <h4>${pouches.label} (${counts.pouches}/${pouches.max})</h4>
                         <div class="gold-circles">
-                            ${this.renderGoldCircles('pouches', gold.pouches, 10)}
+                            ${this.renderGoldCircles('pouches', counts.pouches, pouches.max)}
                         </div>
                         <div class="equipped-pouches">
-                            <label>Equipped Pouches (${gold.equippedPouches}/2):</label>
+                            <label>Equipped ${pouches.label} (${gold.equippedPouches}/${pouchLimit}):</label>
                             <div class="equipped-pouch-controls">
                                 <button data-action="adjust-equipped-pouches" data-change="-1" ${gold.equippedPouches === 0 ? 'disabled' : ''}>-</button>
                                 <span>${gold.equippedPouches}</span>
-                                <button data-action="adjust-equipped-pouches" data-change="1" ${gold.equippedPouches >= 2 || gold.equippedPouches >= gold.pouches ? 'disabled' : ''}>+</button>
+                                <button data-action="adjust-equipped-pouches" data-change="1" ${gold.equippedPouches >= pouchLimit || gold.equippedPouches >= counts.pouches ? 'disabled' : ''}>+</button>
                             </div>
                         </div>
                     </div>
                     
                     <div class="gold-category">
-                        <h4>Chest (${gold.chest}/1)</h4>
+                        <h4>${chest.label} (${counts.chest}/${chest.max})</h4>
                         <div class="gold-circles">
-                            ${this.renderGoldCircles('chest', gold.chest, 1)}
+                            ${this.renderGoldCircles('chest', counts.chest, chestCircles)}
                         </div>
+                        <div class="gold-total">Total carried: ${this.formatGoldValue(gold.amount)}</div>
                     </div>
                     
                     <div class="gold-category">
@@ -565,12 +1618,26 @@ class EquipmentSystem {
                         <div class="banks-container">
                             ${gold.banks.map((bank, index) => `
                                 <div class="bank-entry">
-                                    <input type="text" value="${bank.location}" data-action="update-bank-location" data-index="${index}" placeholder="Bank location">
-                                    <div class="bank-chests">
-                                        <span>${bank.chests} Chests</span>
-                                        <button data-action="adjust-bank-chests" data-index="${index}" data-change="-1" ${bank.chests === 0 ? 'disabled' : ''}>-</button>
-                                        <button data-action="adjust-bank-chests" data-index="${index}" data-change="1">+</button>
-                                        <button data-action="remove-bank" data-index="${index}" class="remove-btn">✕</button>
+                                    <div class="bank-row">
+                                        <input type="text" value="${bank.location}" data-action="update-bank-location" data-index="${index}" placeholder="Bank location">
+                                        <div class="bank-chests">
+                                            <span>${this.formatGold(bank.amount)}</span>
+                                            <button data-action="deposit-gold" data-index="${index}" class="bank-action" ${gold.amount === 0 ? 'disabled' : ''}>Deposit</button>
+                                            <button data-action="withdraw-gold" data-index="${index}" class="bank-action" ${bank.amount === 0 ? 'disabled' : ''}>Withdraw</button>
+                                            ${bank.interestPercent ? `<button data-action="pay-bank-interest" data-bank-id="${bank.id}" class="bank-action" ${Date.now() < this.getNextInterestTime(bank) ? `disabled title="Next interest after ${new Date(this.getNextInterestTime(bank)).toLocaleString()}"` : ''}>+${bank.interestPercent}% interest</button>` : ''}
+                                            <button data-action="bank-settings" data-index="${index}" title="Fees and interest" aria-label="Bank settings">⚙</button>
+                                            <button data-action="remove-bank" data-index="${index}" class="remove-btn">✕</button>
+                                        </div>
+                                    </div>
+                                    ${bank.feePercent ? `<div class="bank-terms">${bank.feePercent}% fee on deposits and withdrawals</div>` : ''}
+                                    <div class="bank-items">
+                                        ${bank.items.map((item, itemIndex) => `
+                                            <span class="bank-item">
+                                                ${item.name}${this.getItemQuantity(item) > 1 ? ` ×${this.getItemQuantity(item)}` : ''}
+                                                <button data-action="retrieve-item" data-bank-id="${bank.id}" data-item-index="${itemIndex}" class="bank-action">Retrieve</button>
+                                            </span>
+                                        `).join('')}
+                                        <button data-action="store-item" data-index="${index}" class="bank-action" ${bank.location ? '' : 'disabled title="Give the bank a location first"'}>+ Store Item</button>
                                     </div>
                                 </div>
                             `).join('')}
@@ -578,6 +1645,51 @@ class EquipmentSystem {
                         </div>
                     </div>
                 </div>
+                
+                ${this.renderGoldLedger()}
+            </div>
+        `;
+    }
+
+    renderGoldLedger() {
+        const filters = this.ledgerFilters;
+        const accounts = this.getGoldAccounts();
+        const entries = this.getGoldLedger(filters).slice().reverse();
+        const mismatches = this.reconcileGold(false);
+        const accountName = (id) => accounts.find(account => account.id === id)?.name || 'Removed bank';
+        const select = (filter, options) => `
+            <select data-ledger-filter="${filter}" aria-label="Filter by ${filter}">
+                <option value="all">All</option>
+                ${options.map(([value, label]) => `<option value="${value}" ${filters[filter] === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        `;
+        
+        return `
+            <div class="gold-ledger">
+                <h4>Ledger</h4>
+                ${mismatches.length > 0 ? `
+                    <div class="ledger-mismatch">
+                        ${mismatches.map(mismatch => `<div>${mismatch.message}</div>`).join('')}
+                        <button class="button" data-action="reconcile-gold">Reconcile</button>
+                    </div>
+                ` : '<div class="ledger-balanced">✓ Balances match the ledger</div>'}
+                <div class="ledger-filters">
+                    ${select('account', accounts.map(account => [account.id, account.name]))}
+                    ${select('source', Object.entries(GOLD_SOURCES))}
+                    ${select('direction', [['in', 'Money in'], ['out', 'Money out']])}
+                </div>
+                <div class="history-list">
+                    ${entries.length > 0 ?
+                        entries.map(entry => `
+                            <div class="history-entry ledger-entry ${entry.direction}">
+                                <span class="ledger-amount">${entry.direction === 'in' ? '+' : '−'}${this.formatGoldValue(entry.amount)}</span>
+                                <span class="history-label">${entry.reason || GOLD_SOURCES[entry.source] || entry.source}</span>
+                                <span class="history-time">${accountName(entry.account)} · ${GOLD_SOURCES[entry.source] || entry.source}${entry.by ? ` · ${entry.by}` : ''} · ${new Date(entry.time).toLocaleString()}</span>
+                            </div>
+                        `).join('') :
+                        '<div class="empty-slot">No transactions</div>'
+                    }
+                </div>
             </div>
         `;
     }
@@ -591,10 +1703,81 @@ class EquipmentSystem {
         return circles;
     }
 
+    renderShopsSection() {
+        const shopId = this.getSelectedShopId();
+        const shop = shopId ? this.shops[shopId] : null;
+        const carried = this.data.gold.amount;
+
+        // Inventory entries this shop would buy back
+        const sellable = [];
+        if (shop) {
+            Object.entries(this.data.inventory).forEach(([category, items]) => {
+                items.forEach((item, index) => {
+                    const listing = this.findShopListing(shop, item);
+                    if (listing) {
+                        sellable.push({ category, index, item, price: this.getShopBuyBackPrice(shop, listing) });
+                    }
+                });
+            });
+        }
+
+        return `
+            <div class="shops-section">
+                <div class="shops-header">
+                    <h3>Shops</h3>
+                    ${this.options.canManageShops ? '<button class="button" data-action="manage-shops">Manage Shops</button>' : ''}
+                </div>
+
+                ${shop ? `
+                    <div class="shop-picker">
+                        <select data-action="select-shop" aria-label="Shop">
+                            ${Object.entries(this.shops).map(([id, entry]) => `<option value="${id}" ${id === shopId ? 'selected' : ''}>${entry.name}</option>`).join('')}
+                        </select>
+                        <span class="shop-carried">You carry ${this.formatGoldValue(carried)}</span>
+                    </div>
+
+                    <div class="shop-listings">
+                        ${shop.items.length > 0 ?
+                            shop.items.map(listing => `
+                                <div class="shop-listing ${listing.stock === 0 ? 'sold-out' : ''}">
+                                    <span class="shop-item-name">${listing.item.name}</span>
+                                    <span class="shop-item-type">${listing.item.type}</span>
+                                    <span class="shop-item-stock">${listing.stock === null ? 'In stock' : listing.stock === 0 ? 'Sold out' : `${listing.stock} left`}</span>
+                                    <span class="shop-item-price">${this.formatGoldValue(listing.price)}</span>
+                                    <button class="button" data-action="buy-from-shop" data-shop-id="${shopId}" data-listing-id="${listing.id}" ${listing.stock === 0 || listing.price > carried ? 'disabled' : ''}>Buy</button>
+                                </div>
+                            `).join('') :
+                            '<div class="empty-slot">Nothing for sale</div>'
+                        }
+                    </div>
+
+                    <h4>Sell to ${shop.name} (${shop.buyBackPercent}% of list price)</h4>
+                    <div class="shop-listings">
+                        ${sellable.length > 0 ?
+                            sellable.map(({ category, index, item, price }) => `
+                                <div class="shop-listing">
+                                    <span class="shop-item-name">${item.name}${this.getItemQuantity(item) > 1 ? ` ×${this.getItemQuantity(item)}` : ''}</span>
+                                    <span class="shop-item-type">${item.type}</span>
+                                    <span class="shop-item-price">${this.formatGoldValue(price)} each</span>
+                                    <button class="button" data-action="sell-to-shop" data-shop-id="${shopId}" data-category="${category}" data-index="${index}">Sell 1</button>
+                                </div>
+                            `).join('') :
+                            `<div class="empty-slot">You have nothing ${shop.name} buys</div>`
+                        }
+                    </div>
+                ` : '<div class="empty-slot">No shops are open in this room</div>'}
+            </div>
+        `;
+    }
+
     // ===== EVENT HANDLING =====
     attachEventListeners() {
         const container = document.getElementById(this.containerId);
         if (!container) return;
+        // The container element outlives re-renders, so its delegated listeners are only wired once;
+        // wiring them again would run every action twice
+        if (this.eventListenersContainer === container) return;
+        this.eventListenersContainer = container;
 
         // Navigation buttons
         container.addEventListener('click', (e) => {
@@ -604,28 +1787,12 @@ class EquipmentSystem {
             }
         });
 
-        // Bag selection
-        const bagSelect = container.querySelector('#bag-select');
-        if (bagSelect) {
-            bagSelect.addEventListener('change', (e) => {
-                this.changeBagType(e.target.value);
-            });
-        }
-
-        // Search and filters
-        const searchInput = container.querySelector('#item-search');
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
+        // Search
+        container.addEventListener('input', (e) => {
+            if (e.target.id === 'item-search') {
                 this.updateSearch(e.target.value);
-            });
-        }
-
-        const categoryFilter = container.querySelector('#category-filter');
-        if (categoryFilter) {
-            categoryFilter.addEventListener('change', (e) => {
-                this.updateCategoryFilter(e.target.value);
-            });
-        }
+            }
+        });
 
         // Action buttons (using event delegation)
         container.addEventListener('click', (e) => {
@@ -636,6 +1803,9 @@ class EquipmentSystem {
                 case 'add-item':
                     this.showAddItemModal();
                     break;
+                case 'buy-item':
+                    this.showAddItemModal(undefined, { purchase: true });
+                    break;
                 case 'equip-item':
                     this.equipItem(e.target.dataset.type, e.target.dataset.category, parseInt(e.target.dataset.index));
                     break;
@@ -643,13 +1813,67 @@ class EquipmentSystem {
                     this.unequipItem(e.target.dataset.type, e.target.dataset.category, parseInt(e.target.dataset.index));
                     break;
                 case 'unequip-specific':
-                    this.unequipSpecificItem(e.target.dataset.slot);
+                    this.unequipSpecificItem(e.target.dataset.slot, e.target.dataset.index !== undefined ? parseInt(e.target.dataset.index) : null);
+                    break;
+                case 'save-loadout':
+                    this.promptSaveLoadout();
+                    break;
+                case 'apply-loadout':
+                    this.applyLoadout(e.target.dataset.loadoutId);
+                    break;
+                case 'update-loadout':
+                    this.updateLoadout(e.target.dataset.loadoutId);
+                    break;
+                case 'rename-loadout':
+                    this.renameLoadout(e.target.dataset.loadoutId);
+                    break;
+                case 'delete-loadout':
+                    this.deleteLoadout(e.target.dataset.loadoutId);
+                    break;
+                case 'toggle-grip':
+                    this.toggleVersatileGrip();
+                    break;
+                case 'manage-bags':
+                    this.showManageBagsModal();
+                    break;
+                case 'manage-shops':
+                    this.showManageShopsModal();
+                    break;
+                case 'buy-from-shop':
+                    this.buyFromShop(e.target.dataset.shopId, e.target.dataset.listingId);
+                    break;
+                case 'sell-to-shop':
+                    this.sellToShop(e.target.dataset.shopId, e.target.dataset.category, parseInt(e.target.dataset.index));
+                    break;
+                case 'undo':
+                    this.undo(parseInt(e.target.dataset.steps) || 1);
                     break;
-                case 'unequip-jewelry':
-                    this.unequipJewelry(parseInt(e.target.dataset.index));
+                case 'redo':
+                    this.redo(parseInt(e.target.dataset.steps) || 1);
                     break;
-                case 'unequip-belt':
-                    this.unequipBeltItem(parseInt(e.target.dataset.index));
+                case 'use-slot-item':
+                    this.useSlotItem(e.target.dataset.slot, e.target.dataset.index !== undefined ? parseInt(e.target.dataset.index) : null);
+                    break;
+                case 'use-item':
+                    this.useItem(e.target.dataset.category, parseInt(e.target.dataset.index));
+                    break;
+                case 'recharge-item':
+                    this.rechargeItem(e.target.dataset.category, parseInt(e.target.dataset.index));
+                    break;
+                case 'split-item':
+                    this.splitItemStack(e.target.dataset.category, parseInt(e.target.dataset.index));
+                    break;
+                case 'merge-item':
+                    this.mergeItemStacks(e.target.dataset.category, parseInt(e.target.dataset.index));
+                    break;
+                case 'move-into-container':
+                    this.showMoveToContainerModal(this.parseItemId(e.target.dataset.itemId));
+                    break;
+                case 'move-out-of-container':
+                    this.moveItemOutOfContainer(this.parseItemId(e.target.dataset.itemId));
+                    break;
+                case 'drop-contained-item':
+                    this.dropContainedItem(this.parseItemId(e.target.dataset.itemId));
                     break;
                 case 'edit-item':
                     this.editItem(e.target.dataset.category, parseInt(e.target.dataset.index));
@@ -661,7 +1885,10 @@ class EquipmentSystem {
                     this.sellItem(e.target.dataset.category, parseInt(e.target.dataset.index));
                     break;
                 case 'set-gold-amount':
-                    this.setGoldAmount(e.target.dataset.type, parseInt(e.target.dataset.amount));
+                    this.setGoldAmount(e.target.dataset.type, parseInt(e.target.dataset.amount), {
+                        source: container.querySelector('#gold-source')?.value,
+                        reason: container.querySelector('#gold-reason')?.value.trim()
+                    });
                     break;
                 case 'adjust-equipped-pouches':
                     this.adjustEquippedPouches(parseInt(e.target.dataset.change));
@@ -672,23 +1899,286 @@ class EquipmentSystem {
                 case 'remove-bank':
                     this.removeBank(parseInt(e.target.dataset.index));
                     break;
-                case 'adjust-bank-chests':
-                    this.adjustBankChests(parseInt(e.target.dataset.index), parseInt(e.target.dataset.change));
+                case 'deposit-gold':
+                    this.promptBankTransfer(parseInt(e.target.dataset.index), 'deposit');
+                    break;
+                case 'withdraw-gold':
+                    this.promptBankTransfer(parseInt(e.target.dataset.index), 'withdraw');
+                    break;
+                case 'pay-bank-interest':
+                    this.payBankInterest(e.target.dataset.bankId);
+                    break;
+                case 'bank-settings':
+                    this.showBankSettingsModal(parseInt(e.target.dataset.index));
+                    break;
+                case 'store-item':
+                    this.showStoreItemModal(parseInt(e.target.dataset.index));
+                    break;
+                case 'retrieve-item':
+                    this.retrieveItem(e.target.dataset.bankId, parseInt(e.target.dataset.itemIndex));
+                    break;
+                case 'reconcile-gold':
+                    this.reconcileGold(true);
+                    this.saveData('Reconciled ledger');
+                    this.switchEquipmentSection('gold');
                     break;
             }
         });
 
-        // Bank location updates
+        // Bag selection, the category filter, bank location updates, ledger filters and the shop picker
         container.addEventListener('change', (e) => {
-            if (e.target.dataset.action === 'update-bank-location') {
+            if (e.target.id === 'bag-select') {
+                this.changeBagType(e.target.value);
+            } else if (e.target.id === 'category-filter') {
+                this.updateCategoryFilter(e.target.value);
+            } else if (e.target.dataset.action === 'update-bank-location') {
                 this.updateBankLocation(parseInt(e.target.dataset.index), e.target.value);
+            } else if (e.target.dataset.action === 'select-shop') {
+                this.selectedShopId = e.target.value;
+                this.switchEquipmentSection('shops');
+            } else if (e.target.dataset.ledgerFilter) {
+                this.ledgerFilters[e.target.dataset.ledgerFilter] = e.target.value;
+                this.switchEquipmentSection('gold');
+            }
+        });
+
+        this.attachDragListeners(container);
+    }
+
+    // ===== DRAG AND DROP =====
+    // Pointer events cover mouse, pen and touch; Enter/Space pick up and drop for keyboard users.
+    // Sources carry data-drag-item (inventory item) or data-drag-slot/-index (equipped item);
+    // targets carry data-drop-slot/-index or data-drop-tray (unequip).
+    attachDragListeners(container) {
+        // The container element outlives re-renders, so only wire it once
+        if (this.dragListenersContainer === container) return;
+        this.dragListenersContainer = container;
+
+        container.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('button, input, select, textarea')) return;
+            const sourceEl = e.target.closest('[data-drag-item], [data-drag-slot]');
+            if (!sourceEl) return;
+            
+            this.dragState = {
+                source: this.getDragSource(sourceEl),
+                sourceEl,
+                startX: e.clientX,
+                startY: e.clientY,
+                pointerId: e.pointerId,
+                ghost: null
+            };
+        });
+
+        container.addEventListener('pointermove', (e) => {
+            const drag = this.dragState;
+            if (!drag || drag.pointerId !== e.pointerId) return;
+            
+            // Small threshold so taps and clicks are not treated as drags
+            if (!drag.ghost) {
+                if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 6) return;
+                drag.ghost = this.createDragGhost(drag.sourceEl);
+                drag.sourceEl.classList.add('dragging');
+                container.setPointerCapture?.(e.pointerId);
+            }
+            
+            e.preventDefault();
+            drag.ghost.style.left = `${e.clientX}px`;
+            drag.ghost.style.top = `${e.clientY}px`;
+            this.highlightDropTarget(this.getDropTargetAt(e.clientX, e.clientY), drag.source);
+        });
+
+        const finishPointerDrag = (e, cancelled) => {
+            const drag = this.dragState;
+            if (!drag || drag.pointerId !== e.pointerId) return;
+            this.dragState = null;
+            if (!drag.ghost) return;
+            
+            drag.ghost.remove();
+            drag.sourceEl.classList.remove('dragging');
+            this.highlightDropTarget(null);
+            
+            const targetEl = cancelled ? null : this.getDropTargetAt(e.clientX, e.clientY);
+            if (targetEl) {
+                this.handleEquipmentDrop(drag.source, this.getDropTarget(targetEl));
+            }
+        };
+        container.addEventListener('pointerup', (e) => finishPointerDrag(e, false));
+        container.addEventListener('pointercancel', (e) => finishPointerDrag(e, true));
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.keyboardDrag) {
+                this.cancelKeyboardDrag();
+                return;
+            }
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            if (e.target.closest('button, input, select, textarea')) return;
+            
+            const dropEl = e.target.closest('[data-drop-slot], [data-drop-tray]');
+            if (this.keyboardDrag && dropEl) {
+                e.preventDefault();
+                const source = this.keyboardDrag;
+                this.cancelKeyboardDrag(false);
+                this.handleEquipmentDrop(source, this.getDropTarget(dropEl));
+                return;
+            }
+            
+            const sourceEl = e.target.closest('[data-drag-item], [data-drag-slot]');
+            if (sourceEl) {
+                e.preventDefault();
+                this.keyboardDrag = this.getDragSource(sourceEl);
+                sourceEl.classList.add('picked-up');
+                this.announceDrag(`Picked up ${sourceEl.getAttribute('aria-label') || 'item'}. Move to a slot and press Enter to drop, or Escape to cancel.`);
             }
         });
     }
 
+    getDragSource(el) {
+        if (el.dataset.dragItem !== undefined) {
+            return { kind: 'item', itemId: this.parseItemId(el.dataset.dragItem) };
+        }
+        return {
+            kind: 'slot',
+            slot: el.dataset.dragSlot,
+            index: el.dataset.dragIndex !== undefined ? parseInt(el.dataset.dragIndex) : null
+        };
+    }
+
+    getDropTarget(el) {
+        if (el.dataset.dropTray !== undefined) {
+            return { kind: 'tray' };
+        }
+        return {
+            kind: 'slot',
+            slot: el.dataset.dropSlot,
+            index: el.dataset.dropIndex !== undefined ? parseInt(el.dataset.dropIndex) : null
+        };
+    }
+
+    getDropTargetAt(x, y) {
+        const el = document.elementFromPoint(x, y);
+        const container = document.getElementById(this.containerId);
+        const target = el ? el.closest('[data-drop-slot], [data-drop-tray]') : null;
+        return target && container && container.contains(target) ? target : null;
+    }
+
+    createDragGhost(sourceEl) {
+        const ghost = sourceEl.cloneNode(true);
+        ghost.classList.add('drag-ghost');
+        ghost.removeAttribute('data-drag-item');
+        ghost.removeAttribute('data-drag-slot');
+        ghost.style.width = `${sourceEl.offsetWidth}px`;
+        document.body.appendChild(ghost);
+        return ghost;
+    }
+
+    highlightDropTarget(targetEl, source = null) {
+        const container = document.getElementById(this.containerId);
+        container?.querySelectorAll('.drop-valid, .drop-invalid').forEach(el => {
+            el.classList.remove('drop-valid', 'drop-invalid');
+        });
+        if (targetEl && source) {
+            const valid = this.canDropOn(source, this.getDropTarget(targetEl));
+            targetEl.classList.add(valid ? 'drop-valid' : 'drop-invalid');
+        }
+    }
+
+    getDraggedItem(source) {
+        if (source.kind === 'item') {
+            return this.findInventoryItem(source.itemId)?.item || null;
+        }
+        return this.getEquippedItem(source.slot, source.index);
+    }
+
+    slotAccepts(slotId, item) {
+        const slot = this.getSlotDefinition(slotId);
+        if (!slot || !item) return false;
+        // Off-hand items and shields never go in the main hand
+        if (slot.hand === 'main' && ['off-hand', 'shield'].includes(this.getHandedness(item))) return false;
+        if (slot.accepts.includes(item.type)) return true;
+        // Catch-all slots only take types that no other slot names
+        return slot.accepts.includes('*') && this.getSlotsForType(item.type).some(candidate => candidate.id === slotId);
+    }
+
+    canDropOn(source, target) {
+        const item = this.getDraggedItem(source);
+        if (!item) return false;
+        if (target.kind === 'tray') return source.kind === 'slot';
+        return this.slotAccepts(target.slot, item);
+    }
+
+    async handleEquipmentDrop(source, target) {
+        const item = this.getDraggedItem(source);
+        if (!item) return;
+        
+        if (target.kind === 'tray') {
+            if (source.kind === 'slot') {
+                this.unequipSpecificItem(source.slot, source.index);
+                this.announceDrag(`Unequipped ${item.name}.`);
+            }
+            return;
+        }
+        
+        if (source.kind === 'item') {
+            if (await this.equipItemToSlot(target.slot, item, target.index)) {
+                this.announceDrag(`Equipped ${item.name}.`);
+            }
+            return;
+        }
+        
+        this.moveEquippedItem(source.slot, source.index, target.slot, target.index);
+    }
+
+    /**
+     * Move an equipped item to another slot position, swapping with whatever is there
+     * (primary ↔ secondary weapon, reordering belt items, ...)
+     */
+    moveEquippedItem(fromSlot, fromIndex, toSlot, toIndex) {
+        if (fromSlot === toSlot && fromIndex === toIndex) return false;
+        
+        const moving = this.getEquippedItem(fromSlot, fromIndex);
+        const displaced = this.getEquippedItem(toSlot, toIndex);
+        if (!moving) return false;
+        
+        // A weapon held in both hands already fills both hand slots
+        if (this.isHeldTwoHanded(moving) || (displaced && this.isHeldTwoHanded(displaced))) return false;
+        
+        if (!this.slotAccepts(toSlot, moving) || (displaced && !this.slotAccepts(fromSlot, displaced))) {
+            this.showMessage(`${moving.name} cannot go there.`);
+            return false;
+        }
+        
+        this.setEquippedItem(toSlot, toIndex, moving);
+        this.setEquippedItem(fromSlot, fromIndex, displaced);
+        
+        this.saveData(displaced ? `Swapped ${moving.name} and ${displaced.name}` : `Moved ${moving.name}`);
+        this.updateEncumbranceDisplay();
+        this.announceDrag(displaced ? `Swapped ${moving.name} and ${displaced.name}.` : `Moved ${moving.name}.`);
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        return true;
+    }
+
+    cancelKeyboardDrag(announce = true) {
+        this.keyboardDrag = null;
+        document.querySelectorAll(`#${this.containerId} .picked-up`).forEach(el => el.classList.remove('picked-up'));
+        if (announce) this.announceDrag('Drop cancelled.');
+    }
+
+    announceDrag(message) {
+        const announcer = document.querySelector(`#${this.containerId} .drag-announcer`);
+        if (announcer) {
+            announcer.textContent = message;
+        }
+    }
+
     // ===== NAVIGATION =====
     switchEquipmentSection(section) {
         const container = document.getElementById(this.containerId);
+        if (!container) return;
         
         // Update nav buttons
         container.querySelectorAll('.equipment-nav-btn').forEach(btn => {
@@ -708,117 +2198,83 @@ class EquipmentSystem {
             case 'gold':
                 contentDiv.innerHTML = this.renderGoldSection();
                 break;
+            case 'shops':
+                contentDiv.innerHTML = this.renderShopsSection();
+                break;
+            case 'history':
+                contentDiv.innerHTML = this.renderHistorySection();
+                break;
         }
     }
 
     // ===== ITEM MANAGEMENT =====
-    isItemEquipped(item, type) {
-        const equipped = this.data.equipped;
-        
-        // Check if item is equipped by comparing IDs
-        if (type === 'weapon') {
-            return (equipped.primaryWeapon && equipped.primaryWeapon.id === item.id) ||
-                   (equipped.secondaryWeapon && equipped.secondaryWeapon.id === item.id);
-        } else if (type === 'armor') {
-            return equipped.armor && equipped.armor.id === item.id;
-        } else if (type === 'clothing') {
-            return equipped.clothing && equipped.clothing.id === item.id;
-        } else if (type === 'jewelry') {
-            return equipped.jewelry.some(slot => slot && slot.id === item.id);
-        } else {
-            // For consumables, quest items, etc. - check belt slots
-            return equipped.belt.some(slot => slot && slot.id === item.id);
-        }
-        
-        return false;
+    // Every slot function below is driven by the rules pack's slot layout (see slotLayout)
+    isItemEquipped(item) {
+        return this.getEquippedSlotsOf(item).length > 0;
+    }
+
+    // Every {slot, index} position currently holding this item (index is null for single slots)
+    getEquippedSlotsOf(item) {
+        const positions = [];
+        this.slotLayout.forEach(slot => {
+            const contents = this.data.equipped[slot.id];
+            if (Array.isArray(contents)) {
+                contents.forEach((id, index) => {
+                    if (id === item.id) positions.push({ slot: slot.id, index });
+                });
+            } else if (contents === item.id) {
+                positions.push({ slot: slot.id, index: null });
+            }
+        });
+        return positions;
     }
 
-    equipItem(type, category, index) {
+    async equipItem(type, category, index) {
         const item = this.data.inventory[category][index];
         
         // Check if item is already equipped
-        if (this.isItemEquipped(item, type)) {
-            alert('This item is already equipped!');
-            return;
+        if (this.isItemEquipped(item)) {
+            await this.showMessage('This item is already equipped!');
+            return false;
         }
         
-        if (type === 'weapon') {
-            // Show weapon slot selection
-            this.showWeaponSlotModal(item);
-        } else if (type === 'jewelry') {
-            // Find empty jewelry slot
-            const emptySlot = this.data.equipped.jewelry.findIndex(slot => !slot);
-            if (emptySlot !== -1) {
-                this.data.equipped.jewelry[emptySlot] = item;
-            } else {
-                alert('All jewelry slots are full. Unequip an item first.');
-                return;
-            }
-        } else if (type === 'armor') {
-            // Check if armor slot is already occupied
-            if (this.data.equipped.armor) {
-                alert('You already have armor equipped. Unequip it first.');
-                return;
-            }
-            this.data.equipped.armor = item;
-        } else if (type === 'clothing') {
-            // Check if clothing slot is already occupied
-            if (this.data.equipped.clothing) {
-                alert('You already have clothing equipped. Unequip it first.');
-                return;
-            }
-            this.data.equipped.clothing = item;
-        } else {
-            // For all other items (consumables, quest items, etc.) - use belt slots
-            const emptySlot = this.data.equipped.belt.findIndex(slot => !slot);
-            if (emptySlot !== -1) {
-                this.data.equipped.belt[emptySlot] = item;
-            } else {
-                alert('All belt slots are full. Unequip an item first.');
-                return;
-            }
+        let slots = this.getSlotsForType(item.type).filter(slot => this.slotAccepts(slot.id, item));
+        if (slots.length === 0) {
+            await this.showMessage(`There is no equipment slot for ${item.type} items.`);
+            return false;
         }
         
-        this.saveData();
-        this.updateEncumbranceDisplay();
+        // Two-handed weapons take both hands, so there is nothing to choose
+        const { main } = this.getHandSlots();
+        if (this.getHandedness(item) === 'two-handed' && main && slots.includes(main)) {
+            slots = [main];
+        }
         
-        // Refresh current section
-        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
-        if (activeSection) {
-            this.switchEquipmentSection(activeSection);
+        if (slots.length === 1) {
+            return this.equipItemToSlot(slots[0].id, item);
         }
+        
+        // Let the player pick between e.g. primary and secondary weapon; picking a filled slot swaps it
+        const slotId = await this.showChoice(`Equip: ${item.name}`, 'Choose a slot:', slots.map(slot => {
+            const occupant = this.getSlotOccupantNames(slot);
+            return {
+                value: slot.id,
+                label: slot.label,
+                detail: occupant ? `swap out ${occupant}` : 'empty'
+            };
+        }));
+        if (!slotId) return false;
+        
+        return this.equipItemToSlot(slotId, item, null, { confirmSwap: false });
     }
 
     unequipItem(type, category, index) {
         const item = this.data.inventory[category][index];
-        const equipped = this.data.equipped;
         
         // Remove item from equipped slots
-        if (type === 'weapon') {
-            if (equipped.primaryWeapon && equipped.primaryWeapon.id === item.id) {
-                equipped.primaryWeapon = null;
-            }
-            if (equipped.secondaryWeapon && equipped.secondaryWeapon.id === item.id) {
-                equipped.secondaryWeapon = null;
-            }
-        } else if (type === 'armor') {
-            equipped.armor = null;
-        } else if (type === 'clothing') {
-            equipped.clothing = null;
-        } else if (type === 'jewelry') {
-            const slotIndex = equipped.jewelry.findIndex(slot => slot && slot.id === item.id);
-            if (slotIndex !== -1) {
-                equipped.jewelry[slotIndex] = null;
-            }
-        } else {
-            // For all other items (consumables, quest items, etc.) - check belt slots
-            const slotIndex = equipped.belt.findIndex(slot => slot && slot.id === item.id);
-            if (slotIndex !== -1) {
-                equipped.belt[slotIndex] = null;
-            }
-        }
+        this.autoUnequipItem(item);
         
-        this.saveData();
+        this.saveData(`Unequipped ${item.name}`);
         this.updateEncumbranceDisplay();
         
         // Refresh current section
@@ -828,91 +2284,196 @@ class EquipmentSystem {
         }
     }
 
-    unequipSpecificItem(slot) {
-        if (this.data.equipped[slot]) {
-            this.data.equipped[slot] = null;
-            this.saveData();
-            this.updateEncumbranceDisplay();
-            
-            // Refresh overview
-            const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
-            if (activeSection === 'overview') {
-                this.switchEquipmentSection('overview');
+    unequipSpecificItem(slotId, index = null) {
+        const contents = this.data.equipped[slotId];
+        const item = this.getEquippedItem(slotId, index);
+        
+        if (Array.isArray(contents)) {
+            if (index === null || !contents[index]) return;
+            contents[index] = null;
+        } else {
+            if (!contents) return;
+            if (item && this.isHeldTwoHanded(item)) {
+                this.autoUnequipItem(item);
+            } else {
+                this.data.equipped[slotId] = null;
             }
         }
+        
+        this.saveData(`Unequipped ${item ? item.name : slotId}`);
+        this.updateEncumbranceDisplay();
+        
+        // Refresh overview
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection === 'overview') {
+            this.switchEquipmentSection('overview');
+        }
     }
 
     unequipJewelry(index) {
-        if (this.data.equipped.jewelry[index]) {
-            this.data.equipped.jewelry[index] = null;
-            this.saveData();
-            this.updateEncumbranceDisplay();
-            
-            // Refresh overview
-            const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
-            if (activeSection === 'overview') {
-                this.switchEquipmentSection('overview');
-            }
-        }
+        this.unequipSpecificItem('jewelry', index);
     }
 
     unequipBeltItem(index) {
-        if (this.data.equipped.belt[index]) {
-            this.data.equipped.belt[index] = null;
-            this.saveData();
-            this.updateEncumbranceDisplay();
-            
-            // Refresh overview
-            const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
-            if (activeSection === 'overview') {
-                this.switchEquipmentSection('overview');
-            }
+        this.unequipSpecificItem('belt', index);
+    }
+
+    getSlotOccupantNames(slot) {
+        const contents = this.getSlotContents(slot.id);
+        if (Array.isArray(contents)) {
+            return contents.every(entry => entry) ? contents.map(entry => entry.name).join(', ') : null;
         }
+        return contents ? contents.name : null;
     }
 
-    showWeaponSlotModal(weapon) {
-        const modal = this.createModal(`
-            <div class="modal-header">
-                <h3>Equip Weapon: ${weapon.name}</h3>
-                <button type="button" class="modal-close-btn">×</button>
-            </div>
-            
-            <div class="modal-content">
-                <p>Choose weapon slot:</p>
-            </div>
+    /**
+     * Equip an item into a slot. An occupied slot is swapped out (after asking, unless
+     * confirmSwap is false); for a full multi-slot the player picks which position to replace.
+     */
+    async equipItemToSlot(slotId, item, index = null, { confirmSwap = true } = {}) {
+        const slot = this.getSlotDefinition(slotId);
+        if (!slot) return false;
+        
+        // Check if item is already equipped in any slot
+        if (this.isItemEquipped(item)) {
+            await this.showMessage('This item is already equipped!');
+            return false;
+        }
+        
+        if (!this.slotAccepts(slotId, item)) {
+            await this.showMessage(`${slot.label} cannot hold ${item.type} items.`);
+            return false;
+        }
+        
+        if (slot.hand) {
+            return this.equipItemToHand(slot, item, confirmSwap);
+        }
+        
+        let target = null;
+        if (this.isMultiSlot(slot)) {
+            const contents = this.getSlotContents(slotId);
+            target = index !== null ? index : contents.findIndex(entry => !entry);
             
-            <div class="modal-buttons">
-                <button data-slot="primaryWeapon" class="button primary-btn">Primary Weapon</button>
-                <button data-slot="secondaryWeapon" class="button primary-btn">Secondary Weapon</button>
-                <button class="button cancel-btn">Cancel</button>
-            </div>
-        `);
+            if (target === -1) {
+                // Every position is taken: ask which one to replace
+                const choice = await this.showChoice(
+                    `Equip: ${item.name}`,
+                    `All ${slot.label.toLowerCase()} slots are full. Which one should ${item.name} replace?`,
+                    contents.map((entry, i) => ({ value: String(i), label: `${i + 1}. ${entry.name}`, detail: entry.type }))
+                );
+                if (choice === null) return false;
+                target = parseInt(choice);
+                confirmSwap = false;
+            }
+            if (target >= contents.length) return false;
+        }
+        
+        const occupant = this.getEquippedItem(slotId, target);
+        if (occupant && confirmSwap) {
+            const swap = await this.showConfirm(
+                `${slot.label} already holds ${occupant.name}. Swap it out for ${item.name}?`,
+                { title: 'Swap equipment', confirmLabel: 'Swap' }
+            );
+            if (!swap) return false;
+        }
+        
+        this.setEquippedItem(slotId, target, item);
+        
+        this.saveData(`Equipped ${item.name}`);
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        return true;
+    }
 
-        modal.addEventListener('click', (e) => {
-            if (e.target.dataset.slot) {
-                this.equipWeaponToSlot(e.target.dataset.slot, weapon);
-                this.closeModal(modal);
-            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
-                this.closeModal(modal);
+    /**
+     * Put an item in a hand. Two-handed weapons fill both hands; equipping the off hand
+     * while a two-hander is held either shifts a versatile weapon to one hand or stows it.
+     */
+    async equipItemToHand(slot, item, confirmSwap = true) {
+        const { main, off } = this.getHandSlots();
+        const equipped = this.data.equipped;
+        const twoHanded = this.getHandedness(item) === 'two-handed' && main && off;
+        const targets = twoHanded ? [main, off] : [slot];
+        
+        let displaced = [];
+        targets.forEach(target => {
+            const occupant = this.getEquippedItem(target.id);
+            if (occupant && !displaced.some(entry => entry.id === occupant.id)) {
+                displaced.push(occupant);
+            }
+        });
+        
+        // A versatile weapon held in both hands simply drops back to one hand
+        let regrip = null;
+        if (!twoHanded && off && slot.id === off.id) {
+            const held = main ? this.getEquippedItem(main.id) : null;
+            if (held && this.isHeldTwoHanded(held) && this.getHandedness(held) === 'versatile') {
+                regrip = held;
+                displaced = displaced.filter(entry => entry.id !== held.id);
+            }
+        }
+        
+        if (displaced.length > 0 && confirmSwap) {
+            const names = displaced.map(entry => entry.name).join(' and ');
+            const swap = await this.showConfirm(
+                `${twoHanded ? `${item.name} needs both hands` : `${slot.label} already holds ${names}`}. Swap out ${names} for ${item.name}?`,
+                { title: 'Swap equipment', confirmLabel: 'Swap' }
+            );
+            if (!swap) return false;
+        }
+        
+        // Clear displaced weapons from every hand they occupied
+        [main, off].filter(hand => hand).forEach(hand => {
+            if (displaced.some(entry => entry.id === equipped[hand.id])) {
+                equipped[hand.id] = null;
             }
         });
+        targets.forEach(target => {
+            equipped[target.id] = item.id;
+        });
+        
+        this.saveData(`Equipped ${item.name}`);
+        this.updateEncumbranceDisplay();
+        if (regrip) {
+            this.showMessage(`${regrip.name} is now held in one hand.`);
+        }
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        return true;
     }
 
-    equipWeaponToSlot(slot, weapon) {
-        // Check if weapon is already equipped in any slot
-        if (this.isItemEquipped(weapon, 'weapon')) {
-            alert('This weapon is already equipped!');
-            return;
-        }
+    // Switch the versatile weapon in the main hand between one- and two-handed grip
+    async toggleVersatileGrip() {
+        const { main, off } = this.getHandSlots();
+        if (!main || !off) return false;
         
-        // Check if slot is already occupied
-        if (this.data.equipped[slot]) {
-            alert(`You already have a ${slot.replace('Weapon', ' weapon')} equipped. Unequip it first.`);
-            return;
+        const held = this.getEquippedItem(main.id);
+        if (!held || this.getHandedness(held) !== 'versatile') return false;
+        
+        if (this.isHeldTwoHanded(held)) {
+            this.data.equipped[off.id] = null;
+        } else {
+            const offItem = this.getEquippedItem(off.id);
+            if (offItem) {
+                const swap = await this.showConfirm(
+                    `Wielding ${held.name} with both hands frees your off hand of ${offItem.name}. Continue?`,
+                    { title: 'Two-handed grip', confirmLabel: 'Use both hands' }
+                );
+                if (!swap) return false;
+            }
+            this.data.equipped[off.id] = held.id;
         }
         
-        this.data.equipped[slot] = weapon;
-        this.saveData();
+        this.saveData(`Changed grip on ${held.name}`);
         this.updateEncumbranceDisplay();
         
         // Refresh current section
@@ -920,12 +2481,14 @@ class EquipmentSystem {
         if (activeSection) {
             this.switchEquipmentSection(activeSection);
         }
+        return true;
     }
 
-    showAddItemModal(defaultType = 'weapon') {
+    // With purchase set, the form asks for a price and buys the item (see buyItem)
+    showAddItemModal(defaultType = 'weapon', { purchase = false } = {}) {
         const modal = this.createModal(`
             <div class="modal-header">
-                <h3>Add New Item</h3>
+                <h3>${purchase ? 'Buy Item' : 'Add New Item'}</h3>
                 <button type="button" class="modal-close-btn">×</button>
             </div>
             
@@ -945,6 +2508,26 @@ class EquipmentSystem {
                         <input type="text" id="item-name" required>
                     </div>
                     
+                    <div class="form-group">
+                        <label for="item-quantity">Quantity:</label>
+                        <input type="number" id="item-quantity" min="1" step="1" value="1" required>
+                    </div>
+                    
+                    ${purchase ? `
+                        <div class="form-group">
+                            <label for="item-price">Total price (${this.currency.name.toLowerCase()}):</label>
+                            <input type="number" id="item-price" min="0" step="1" value="0" required>
+                            <div class="drag-hint">You carry ${this.formatGold(this.data.gold.amount)} (${this.formatGoldValue(this.data.gold.amount)}).</div>
+                        </div>
+                    ` : ''}
+                    
+                    <div class="form-group">
+                        <label for="item-weight">Weight per unit (optional):</label>
+                        <input type="number" id="item-weight" min="0" step="any" placeholder="Leave blank for the type default">
+                    </div>
+                    
+                    ${this.renderContainerFormFields('item', null)}
+                    
                     <div class="form-group">
                         <label for="item-description">Description (optional):</label>
                         <textarea id="item-description" rows="3"></textarea>
@@ -960,6 +2543,8 @@ class EquipmentSystem {
                         <input type="text" id="item-dice" placeholder="e.g., 1d6, 2d8+3">
                     </div>
                     
+                    ${this.renderChargesFormFields('item', null)}
+                    
                     <div class="form-group">
                         <label for="item-ability">Associated Ability (optional):</label>
                         <select id="item-ability">
@@ -970,6 +2555,17 @@ class EquipmentSystem {
                         </select>
                     </div>
                     
+                    <div class="form-group">
+                        <label for="item-handedness">Handedness (weapons and shields):</label>
+                        <select id="item-handedness">
+                            ${Object.entries(this.handednessOptions).map(([value, label]) =>
+                                `<option value="${value}">${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    
+                    ${this.renderModifierFormFields('item', null)}
+                    
                     <div class="form-group">
                         <label for="item-tags">Tags (optional):</label>
                         <div class="tags-selection">
@@ -982,17 +2578,22 @@ class EquipmentSystem {
                     </div>
                     
                     <div class="modal-buttons">
-                        <button type="submit" class="button primary-btn">Add Item</button>
+                        <button type="submit" class="button primary-btn">${purchase ? 'Buy' : 'Add Item'}</button>
                         <button type="button" class="button cancel-btn">Cancel</button>
                     </div>
                 </form>
             </div>
         `);
 
+        this.attachModifierFormListeners(modal);
         const form = modal.querySelector('#add-item-form');
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            this.addNewItem(modal);
+            if (purchase) {
+                this.buyNewItem(modal);
+            } else {
+                this.addNewItem(modal);
+            }
         });
 
         modal.addEventListener('click', (e) => {
@@ -1003,15 +2604,46 @@ class EquipmentSystem {
     }
 
     addNewItem(modal) {
+        const newItem = this.readItemForm(modal);
+        this.addItemToInventory(newItem);
+        this.saveData(`Added ${newItem.name}`);
+        
+        // Refresh current section and update encumbrance
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        
+        this.updateEncumbranceDisplay();
+        this.closeModal(modal);
+    }
+
+    // The modal stays open when the purchase is refused so the price can be changed
+    buyNewItem(modal) {
+        const price = parseInt(modal.querySelector('#item-price').value);
+        if (this.buyItem(this.readItemForm(modal), price)) {
+            this.closeModal(modal);
+        }
+    }
+
+    // Build a new item from the Add Item form
+    readItemForm(modal) {
         const type = modal.querySelector('#item-type').value;
         const name = modal.querySelector('#item-name').value;
+        const quantity = Math.max(1, parseInt(modal.querySelector('#item-quantity').value) || 1);
+        const weight = this.parseWeightInput(modal.querySelector('#item-weight').value);
+        const container = this.readContainerFormFields(modal, 'item');
         const description = modal.querySelector('#item-description').value;
         const features = modal.querySelector('#item-features').value;
         const diceRoll = modal.querySelector('#item-dice').value;
         const ability = modal.querySelector('#item-ability').value;
+        const handedness = modal.querySelector('#item-handedness').value;
+        const modifiers = this.readModifierFormFields(modal, 'item');
+        const charges = this.readChargesFormFields(modal, 'item', null);
+        const rollOnUse = modal.querySelector('#item-roll-on-use').checked && !!diceRoll;
         
         // Get selected tags
-        const tagCheckboxes = modal.querySelectorAll('.tag-checkbox input:checked');
+        const tagCheckboxes = modal.querySelectorAll('.tags-selection .tag-checkbox input:checked');
         const tags = Array.from(tagCheckboxes).map(cb => cb.value);
         
         const newItem = {
@@ -1020,27 +2652,72 @@ class EquipmentSystem {
             description: description || null,
             features: features || null,
             diceRoll: diceRoll || null,
+            rollOnUse: rollOnUse || null,
+            charges,
             ability: ability || null,
+            handedness: handedness !== 'one-handed' ? handedness : null,
+            modifiers,
             tags: tags.length > 0 ? tags : null,
-            id: Date.now() // Simple ID generation
+            weight,
+            // Containers are always single entries so their contents stay with them
+            quantity: container ? 1 : quantity,
+            id: this.generateItemId()
         };
-        
-        // Add to appropriate category
-        const category = this.getItemCategory(type);
+        if (container) {
+            newItem.container = container;
+            newItem.contents = [];
+        }
+        return newItem;
+    }
+
+    // Add to the item type's category, joining an identical stack if there is one. Returns the entry that holds it.
+    addItemToInventory(newItem) {
+        const category = this.getItemCategory(newItem.type);
         if (!this.data.inventory[category]) {
             this.data.inventory[category] = [];
         }
+        const existingStack = this.data.inventory[category].find(item => this.canStackItems(item, newItem));
+        if (existingStack) {
+            existingStack.quantity = this.getItemQuantity(existingStack) + this.getItemQuantity(newItem);
+            return existingStack;
+        }
         this.data.inventory[category].push(newItem);
-        this.saveData();
+        return newItem;
+    }
+
+    /**
+     * Buy an item: the price comes out of carried gold and the item goes into the inventory
+     * in one undoable step, with a purchase entry in the gold ledger. Refuses when the price
+     * is more than the character carries. Returns the inventory entry, or null.
+     */
+    buyItem(item, price, { source = 'purchase', reason = '', undoable = true } = {}) {
+        if (!Number.isInteger(price) || price < 0) {
+            this.showMessage('Enter a price of 0 or more.');
+            return null;
+        }
+        const carried = this.data.gold.amount;
+        if (price > carried) {
+            this.showMessage(`${item.name} costs ${this.formatGoldValue(price)} but you only carry ${this.formatGoldValue(carried)}. You are ${this.formatGoldValue(price - carried)} short.`);
+            return null;
+        }
         
-        // Refresh current section and update encumbrance
+        const quantity = this.getItemQuantity(item);
+        const label = `${quantity > 1 ? `${quantity}× ` : ''}${item.name}`;
+        const entry = this.addItemToInventory({ ...item, id: item.id || this.generateItemId() });
+        this.spendGold(price, {
+            source,
+            reason: reason || `Bought ${label}`,
+            item: { id: entry.id, name: item.name, quantity }
+        });
+        this.saveData(`Bought ${label} for ${this.formatGoldValue(price)}`, { undoable });
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
         const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
         if (activeSection) {
             this.switchEquipmentSection(activeSection);
         }
-        
-        this.updateEncumbranceDisplay();
-        this.closeModal(modal);
+        return entry;
     }
 
     editItem(category, index) {
@@ -1059,6 +2736,18 @@ class EquipmentSystem {
                         <input type="text" id="edit-item-name" value="${item.name}" required>
                     </div>
                     
+                    <div class="form-group">
+                        <label for="edit-item-quantity">Quantity:</label>
+                        <input type="number" id="edit-item-quantity" min="1" step="1" value="${this.getItemQuantity(item)}" required>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="edit-item-weight">Weight per unit (optional):</label>
+                        <input type="number" id="edit-item-weight" min="0" step="any" value="${typeof item.weight === 'number' ? item.weight : ''}" placeholder="Type default: ${this.encumbranceWeights[item.type] ?? 1}">
+                    </div>
+                    
+                    ${this.renderContainerFormFields('edit-item', item.container)}
+                    
                     <div class="form-group">
                         <label for="edit-item-description">Description (optional):</label>
                         <textarea id="edit-item-description" rows="3">${item.description || ''}</textarea>
@@ -1074,6 +2763,8 @@ class EquipmentSystem {
                         <input type="text" id="edit-item-dice" value="${item.diceRoll || ''}" placeholder="e.g., 1d6, 2d8+3">
                     </div>
                     
+                    ${this.renderChargesFormFields('edit-item', item)}
+                    
                     <div class="form-group">
                         <label for="edit-item-ability">Associated Ability (optional):</label>
                         <select id="edit-item-ability">
@@ -1084,6 +2775,17 @@ class EquipmentSystem {
                         </select>
                     </div>
                     
+                    <div class="form-group">
+                        <label for="edit-item-handedness">Handedness (weapons and shields):</label>
+                        <select id="edit-item-handedness">
+                            ${Object.entries(this.handednessOptions).map(([value, label]) =>
+                                `<option value="${value}" ${this.getHandedness(item) === value ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    
+                    ${this.renderModifierFormFields('edit-item', this.getItemModifiers(item))}
+                    
                     <div class="modal-buttons">
                         <button type="submit" class="button primary-btn">Save Changes</button>
                         <button type="button" class="button cancel-btn">Cancel</button>
@@ -1092,18 +2794,41 @@ class EquipmentSystem {
             </div>
         `);
 
+        this.attachModifierFormListeners(modal);
         const form = modal.querySelector('#edit-item-form');
         form.addEventListener('submit', (e) => {
             e.preventDefault();
             
+            const quantity = Math.max(1, parseInt(modal.querySelector('#edit-item-quantity').value) || 1);
+            const container = this.readContainerFormFields(modal, 'edit-item');
+            // Containers are single entries; collapsing a stack into one would lose the other units
+            if (container && quantity > 1) {
+                this.showMessage(`A stack of ${quantity} can't be a container. Set the quantity to 1, or split one ${item.name} off the stack and edit that one.`);
+                return;
+            }
+            
             // Update item with new values
             item.name = modal.querySelector('#edit-item-name').value;
+            item.quantity = quantity;
+            item.weight = this.parseWeightInput(modal.querySelector('#edit-item-weight').value);
+            if (container) {
+                item.container = container;
+                item.contents = this.getContainerContents(item);
+            } else if (this.getContainerContents(item).length === 0) {
+                delete item.container;
+                delete item.contents;
+            }
             item.description = modal.querySelector('#edit-item-description').value || null;
             item.features = modal.querySelector('#edit-item-features').value || null;
             item.diceRoll = modal.querySelector('#edit-item-dice').value || null;
+            item.rollOnUse = (modal.querySelector('#edit-item-roll-on-use').checked && !!item.diceRoll) || null;
+            item.charges = this.readChargesFormFields(modal, 'edit-item', this.getItemCharges(item));
             item.ability = modal.querySelector('#edit-item-ability').value || null;
+            const handedness = modal.querySelector('#edit-item-handedness').value;
+            item.handedness = handedness !== 'one-handed' ? handedness : null;
+            item.modifiers = this.readModifierFormFields(modal, 'edit-item');
             
-            this.saveData();
+            this.saveData(`Edited ${item.name}`);
             this.updateEncumbranceDisplay();
             
             // Refresh current section
@@ -1122,8 +2847,13 @@ class EquipmentSystem {
         });
     }
 
-    dropItem(category, index) {
-        if (confirm('Are you sure you want to drop this item? It will be lost forever.')) {
+    async dropItem(category, index) {
+        const confirmed = await this.showConfirm('Are you sure you want to drop this item? You can undo this from the History tab.', {
+            title: 'Drop item',
+            confirmLabel: 'Drop',
+            danger: true
+        });
+        if (confirmed) {
             const item = this.data.inventory[category][index];
             
             // Auto-unequip the item if it's equipped
@@ -1131,7 +2861,7 @@ class EquipmentSystem {
             
             // Remove from inventory
             this.data.inventory[category].splice(index, 1);
-            this.saveData();
+            this.saveData(`Dropped ${item.name}`);
             this.updateEncumbranceDisplay();
             
             // Refresh current section
@@ -1142,582 +2872,3324 @@ class EquipmentSystem {
         }
     }
 
-    sellItem(category, index) {
+    async sellItem(category, index) {
         const item = this.data.inventory[category][index];
-        const goldAmount = prompt(`How much gold did you sell "${item.name}" for?`, '1');
+        const goldAmount = await this.showPrompt(`How much gold did you sell "${item.name}" for?`, '1', {
+            title: 'Sell item',
+            inputType: 'number'
+        });
         
         if (goldAmount !== null && !isNaN(goldAmount) && parseInt(goldAmount) >= 0) {
             const gold = parseInt(goldAmount);
-            
-            // Auto-unequip the item if it's equipped
-            this.autoUnequipItem(item);
-            
-            // Add gold to inventory
-            let currentGold = this.data.gold.coins + gold;
-            
-            // Convert coins to pouches/chests as needed
-            this.data.gold.coins = currentGold % 10;
-            const extraPouches = Math.floor(currentGold / 10);
-            
-            let totalPouches = this.data.gold.pouches + extraPouches;
-            this.data.gold.pouches = totalPouches % 10;
-            const extraChests = Math.floor(totalPouches / 10);
-            
-            this.data.gold.chest = Math.min(1, this.data.gold.chest + extraChests);
-            
-            // Remove from inventory
-            this.data.inventory[category].splice(index, 1);
-            this.saveData();
-            this.updateEncumbranceDisplay();
-            
-            // Refresh current section
-            const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
-            if (activeSection) {
-                this.switchEquipmentSection(activeSection);
-            }
-            
-            alert(`Sold "${item.name}" for ${gold} gold!`);
+            const overflow = this.sellInventoryItem(category, index, gold);
+            this.showMessage(`Sold "${item.name}" for ${this.formatGoldValue(gold)}!${this.describeGoldOverflow(overflow)}`);
         }
     }
 
-    autoUnequipItem(item) {
-        const equipped = this.data.equipped;
+    /**
+     * Sell units of an inventory entry (the whole stack by default) for price, paid into carried
+     * gold with a sale entry in the ledger. The entry is removed once no units are left.
+     * Returns the gold overflow, as setCarriedGold does.
+     */
+    sellInventoryItem(category, index, price, { quantity = null, reason = '', undoable = true } = {}) {
+        const item = this.data.inventory[category][index];
+        const available = this.getItemQuantity(item);
+        const sold = quantity === null ? available : Math.min(quantity, available);
+        const label = `${sold > 1 ? `${sold}× ` : ''}${item.name}`;
         
-        if (item.type === 'weapon') {
-            if (equipped.primaryWeapon && equipped.primaryWeapon.id === item.id) {
-                equipped.primaryWeapon = null;
-            }
-            if (equipped.secondaryWeapon && equipped.secondaryWeapon.id === item.id) {
-                equipped.secondaryWeapon = null;
-            }
-        } else if (item.type === 'armor') {
-            equipped.armor = null;
-        } else if (item.type === 'clothing') {
-            equipped.clothing = null;
-        } else if (item.type === 'jewelry') {
-            const slotIndex = equipped.jewelry.findIndex(slot => slot && slot.id === item.id);
-            if (slotIndex !== -1) {
-                equipped.jewelry[slotIndex] = null;
-            }
+        const overflow = this.addGold(price, {
+            source: 'sale',
+            reason: reason || `Sold ${label}`,
+            item: { id: item.id, name: item.name, quantity: sold }
+        });
+        
+        if (sold < available) {
+            item.quantity = available - sold;
         } else {
-            // For belt items
-            const slotIndex = equipped.belt.findIndex(slot => slot && slot.id === item.id);
-            if (slotIndex !== -1) {
-                equipped.belt[slotIndex] = null;
-            }
+            // Auto-unequip the item if it's equipped
+            this.autoUnequipItem(item);
+            this.data.inventory[category].splice(index, 1);
         }
-    }
-
-    // ===== SEARCH AND FILTERING =====
-    updateSearch(searchTerm) {
-        this.data.searchTerm = searchTerm;
-        this.saveData();
+        this.saveData(`Sold ${label}`, { undoable });
+        this.updateEncumbranceDisplay();
         
-        const inventoryContent = document.querySelector(`#${this.containerId} .inventory-content`);
-        if (inventoryContent) {
-            inventoryContent.innerHTML = this.renderInventoryCategories();
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
         }
+        return overflow;
     }
 
-    updateCategoryFilter(category) {
-        this.data.selectedCategory = category;
-        this.saveData();
+    // ===== STACKS AND QUANTITIES =====
+    /**
+     * Use an item once. An item with charges loses a charge, and a unit is used up with its
+     * last charge (unless it recharges); anything else loses a unit. The entry is removed
+     * when no units are left. Rolls the item's diceRoll if rollOnUse is set.
+     * Returns the usage record, or null if nothing could be used. A used-up item takes its
+     * usage log with it, so the final use goes into the history label and onItemUsed still
+     * gets the item with its whole log.
+     */
+    useItem(category, index) {
+        const item = this.data.inventory[category][index];
+        if (!item) return null;
         
-        const inventoryContent = document.querySelector(`#${this.containerId} .inventory-content`);
-        if (inventoryContent) {
-            inventoryContent.innerHTML = this.renderInventoryCategories();
+        const charges = this.getItemCharges(item);
+        if (charges && charges.current === 0) {
+            this.showMessage(`${item.name} has no charges left.`);
+            return null;
         }
-    }
-
-    // ===== BAG MANAGEMENT =====
-    changeBagType(bagName) {
-        const oldBag = this.bagTypes[this.data.selectedBag];
-        const newBag = this.bagTypes[bagName];
         
-        // If new bag has fewer belt slots, unequip excess items
-        if (newBag.consumableSlots < oldBag.consumableSlots) {
-            for (let i = newBag.consumableSlots; i < this.data.equipped.belt.length; i++) {
-                this.data.equipped.belt[i] = null;
+        const roll = item.rollOnUse ? rollDice(item.diceRoll) : null;
+        let removed = false;
+        if (charges) {
+            item.charges.current = charges.current - 1;
+        }
+        if (!charges || (item.charges.current === 0 && !charges.recharges)) {
+            const remaining = this.getItemQuantity(item) - 1;
+            if (remaining > 0) {
+                item.quantity = remaining;
+                // The next unit starts full
+                if (charges) item.charges.current = charges.max;
+            } else {
+                // Last unit used up - the entry goes away entirely
+                this.autoUnequipItem(item);
+                this.data.inventory[category].splice(index, 1);
+                removed = true;
             }
         }
         
-        // Resize belt array to match new bag's consumable slots
-        this.data.equipped.belt = Array(newBag.consumableSlots).fill(null);
-        
-        // Copy over existing items up to the new limit
-        const currentBelt = this.data.equipped.belt.slice();
-        for (let i = 0; i < Math.min(newBag.consumableSlots, currentBelt.length); i++) {
-            this.data.equipped.belt[i] = currentBelt[i];
-        }
+        const use = {
+            time: Date.now(),
+            roll,
+            charges: charges ? item.charges.current : null,
+            quantity: removed ? 0 : this.getItemQuantity(item)
+        };
+        this.recordItemUse(item, use);
         
-        this.data.selectedBag = bagName;
-        this.saveData();
+        const rollText = roll ? `: ${this.formatRoll(roll)}` : '';
+        this.saveData(removed ? `Used the last ${item.name}${rollText}` : `Used ${item.name}${rollText}`);
         this.updateEncumbranceDisplay();
         
-        // Update bag info display
-        this.updateBagInfo();
-        
-        // Refresh overview
+        // Refresh current section
         const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
         if (activeSection) {
             this.switchEquipmentSection(activeSection);
         }
-    }
-
-    updateBagInfo() {
-        const bagInfo = document.querySelector(`#${this.containerId} .bag-info`);
-        if (bagInfo) {
-            const selectedBag = this.bagTypes[this.data.selectedBag];
-            bagInfo.innerHTML = `
-                <span class="bag-capacity">Capacity: ${selectedBag.capacity} units</span>
-                <span class="bag-consumables">Belt Slots: ${selectedBag.consumableSlots}</span>
-                ${selectedBag.bonus ? `<span class="bag-bonus">${selectedBag.bonus}</span>` : ''}
-            `;
+        
+        this.options.onItemUsed({ item, ...use, removed });
+        if (roll) {
+            this.showMessage(`${item.name}: ${this.formatRoll(roll)}`);
         }
+        return use;
     }
 
-    // ===== GOLD MANAGEMENT =====
-    setGoldAmount(type, amount) {
-        const currentAmount = this.data.gold[type];
+    useSlotItem(slotId, index = null) {
+        const item = this.getEquippedItem(slotId, index);
+        if (!item) return null;
         
-        if (amount <= currentAmount) {
-            // Decreasing
-            this.data.gold[type] = amount - 1;
-        } else {
-            // Increasing
-            this.data.gold[type] = amount;
+        const found = this.findInventoryItem(item.id);
+        return found ? this.useItem(found.category, found.index) : null;
+    }
+
+    useBeltItem(index) {
+        this.useSlotItem('belt', index);
+    }
+
+    rechargeItem(category, index) {
+        const item = this.data.inventory[category][index];
+        const charges = this.getItemCharges(item);
+        if (!charges || charges.current === charges.max) return;
+        
+        item.charges.current = charges.max;
+        this.saveData(`Recharged ${item.name}`);
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+    }
+
+    // ===== CHARGES AND USAGE =====
+    // Charges are per unit: {current, max, recharges}. Items without them are used one unit at a time.
+    getItemCharges(item) {
+        const charges = item && item.charges;
+        if (!charges || !Number.isInteger(charges.max) || charges.max < 1) return null;
+        const current = Number.isInteger(charges.current) ? Math.min(Math.max(charges.current, 0), charges.max) : charges.max;
+        return { current, max: charges.max, recharges: charges.recharges === true };
+    }
+
+    isUsable(item) {
+        return this.isConsumable(item) || this.getItemQuantity(item) > 1 || this.getItemCharges(item) !== null;
+    }
+
+    // Newest first, trimmed to usageHistoryLimit
+    recordItemUse(item, use) {
+        item.usageLog = [use, ...(item.usageLog || [])].slice(0, this.options.usageHistoryLimit);
+    }
+
+    // "2d8+3 = 14 (5, 6)"
+    formatRoll(roll) {
+        return `${roll.expression} = ${roll.total}${roll.rolls.length > 0 ? ` (${roll.rolls.map(die => die.value).join(', ')})` : ''}`;
+    }
+
+    renderUsageHistory(item) {
+        const log = item.usageLog || [];
+        if (log.length === 0) return '';
+        
+        return `
+            <details class="usage-history">
+                <summary>Used ${log.length}${log.length >= this.options.usageHistoryLimit ? '+' : ''} time${log.length === 1 ? '' : 's'}</summary>
+                <ul>
+                    ${log.map(use => `
+                        <li>
+                            <span class="history-time">${new Date(use.time).toLocaleString()}</span>
+                            ${use.roll ? `<span class="usage-roll">🎲 ${this.formatRoll(use.roll)}</span>` : ''}
+                            <span class="usage-left">${use.charges !== null ? `${use.charges} charges left` : `${use.quantity} left`}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    renderChargesFormFields(prefix, item) {
+        const charges = this.getItemCharges(item);
+        return `
+            <label class="tag-checkbox">
+                <input type="checkbox" id="${prefix}-roll-on-use" ${item && item.rollOnUse ? 'checked' : ''}>
+                Roll the dice roll each time this is used
+            </label>
             
-            // Handle automatic conversions
-            if (type === 'coins' && this.data.gold.coins === 10) {
-                // Always try to auto-convert, but only if pouches can be filled
-                if (this.data.gold.pouches < 10) {
-                    this.data.gold.coins = 0;
-                    this.data.gold.pouches = Math.min(this.data.gold.pouches + 1, 10);
-                }
-                // If pouches are full (10/10), allow 10th coin to stay filled
-            }
+            <div class="form-group">
+                <label for="${prefix}-charges">Charges or uses per item (optional):</label>
+                <input type="number" id="${prefix}-charges" min="1" step="1" value="${charges ? charges.max : ''}" placeholder="e.g., 7 for a wand, 10 for a healing kit">
+            </div>
             
-            if (type === 'pouches' && this.data.gold.pouches === 10) {
-                // Always try to auto-convert, but only if chest can be filled
-                if (this.data.gold.chest < 1) {
-                    this.data.gold.pouches = 0;
-                    this.data.gold.chest = 1;
-                }
-                // If chest is full (1/1), allow 10th pouch to stay filled
-            }
+            <label class="tag-checkbox">
+                <input type="checkbox" id="${prefix}-charges-recharge" ${charges && charges.recharges ? 'checked' : ''}>
+                Keep it when the charges run out (it recharges)
+            </label>
+        `;
+    }
+
+    // Keeps the charges already spent when the maximum changes
+    readChargesFormFields(modal, prefix, previous) {
+        const max = parseInt(modal.querySelector(`#${prefix}-charges`).value);
+        if (!Number.isInteger(max) || max < 1) return null;
+        
+        return {
+            current: previous ? Math.max(0, Math.min(max, max - (previous.max - previous.current))) : max,
+            max,
+            recharges: modal.querySelector(`#${prefix}-charges-recharge`).checked
+        };
+    }
+
+    async splitItemStack(category, index, amount = null) {
+        const item = this.data.inventory[category][index];
+        const quantity = this.getItemQuantity(item);
+        if (quantity < 2 || this.isContainer(item)) return;
+        
+        if (amount === null) {
+            const input = await this.showPrompt(`Split how many "${item.name}" off into a new stack? (1-${quantity - 1})`, String(Math.floor(quantity / 2)), {
+                title: 'Split stack',
+                inputType: 'number'
+            });
+            if (input === null) return;
+            amount = parseInt(input);
         }
         
-        // Adjust equipped pouches if necessary
-        if (this.data.gold.equippedPouches > this.data.gold.pouches) {
-            this.data.gold.equippedPouches = this.data.gold.pouches;
+        if (!Number.isInteger(amount) || amount < 1 || amount >= quantity) {
+            this.showMessage(`Enter a number between 1 and ${quantity - 1}.`);
+            return;
         }
         
-        this.saveData();
-        this.switchEquipmentSection('gold'); // Refresh gold section
+        const newStack = {
+            ...item,
+            tags: item.tags ? item.tags.slice() : null,
+            quantity: amount,
+            id: this.generateItemId()
+        };
+        // The partly used unit stays in the original stack
+        const charges = this.getItemCharges(item);
+        if (charges) {
+            newStack.charges = { ...charges, current: charges.max };
+        }
+        delete newStack.usageLog;
+        item.quantity = quantity - amount;
+        this.data.inventory[category].splice(index + 1, 0, newStack);
+        
+        this.saveData(`Split ${item.name}`);
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
     }
 
-    adjustEquippedPouches(change) {
-        const newAmount = this.data.gold.equippedPouches + change;
-        if (newAmount >= 0 && newAmount <= 2 && newAmount <= this.data.gold.pouches) {
-            this.data.gold.equippedPouches = newAmount;
-            this.saveData();
-            this.switchEquipmentSection('gold');
+    mergeItemStacks(category, index) {
+        const items = this.data.inventory[category];
+        const target = items[index];
+        const matches = items.filter(item => this.canStackItems(target, item));
+        if (matches.length === 0) return;
+        
+        matches.forEach(item => {
+            target.quantity = this.getItemQuantity(target) + this.getItemQuantity(item);
+            if (item.usageLog) {
+                target.usageLog = [...(target.usageLog || []), ...item.usageLog]
+                    .sort((a, b) => b.time - a.time)
+                    .slice(0, this.options.usageHistoryLimit);
+            }
+            this.replaceEquippedItem(item, target);
+        });
+        this.data.inventory[category] = items.filter(item => !matches.includes(item));
+        
+        this.saveData(`Merged ${target.name} stacks`);
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
         }
     }
 
-    addBank() {
-        this.data.gold.banks.push({
-            location: '',
-            chests: 0
+    // Point every slot holding oldItem at newItem, or clear it if newItem is already equipped
+    replaceEquippedItem(oldItem, newItem) {
+        const equipped = this.data.equipped;
+        const alreadyEquipped = this.isItemEquipped(newItem);
+        
+        Object.keys(equipped).forEach(slot => {
+            if (Array.isArray(equipped[slot])) {
+                equipped[slot] = equipped[slot].map(id =>
+                    id === oldItem.id ? (alreadyEquipped ? null : newItem.id) : id
+                );
+            } else if (equipped[slot] === oldItem.id) {
+                equipped[slot] = alreadyEquipped ? null : newItem.id;
+            }
         });
-        this.saveData();
-        this.switchEquipmentSection('gold');
     }
 
-    removeBank(index) {
-        this.data.gold.banks.splice(index, 1);
-        this.saveData();
-        this.switchEquipmentSection('gold');
+    // ===== CONTAINERS =====
+    isContainer(item) {
+        return !!(item && item.container);
     }
 
-    updateBankLocation(index, location) {
-        this.data.gold.banks[index].location = location;
-        this.saveData();
+    getContainerContents(item) {
+        return item && Array.isArray(item.contents) ? item.contents : [];
     }
 
-    adjustBankChests(index, change) {
-        const newAmount = this.data.gold.banks[index].chests + change;
-        if (newAmount >= 0) {
-            this.data.gold.banks[index].chests = newAmount;
-            this.saveData();
-            this.switchEquipmentSection('gold');
+    // Raw weight inside a container, before its own weight rules are applied
+    getContentsWeight(container) {
+        return this.getContainerContents(container).reduce((total, child) => total + this.getItemTotalWeight(child), 0);
+    }
+
+    getAllContainers() {
+        return this.getAllItems().filter(item => this.isContainer(item));
+    }
+
+    // Find an item anywhere in the inventory tree, with the array that holds it
+    locateItem(itemId) {
+        const search = (items, category, parent) => {
+            for (let i = 0; i < items.length; i++) {
+                const item = items[i];
+                if (item.id === itemId) {
+                    return { item, list: items, index: i, category, parent };
+                }
+                if (this.isContainer(item)) {
+                    const found = search(this.getContainerContents(item), category, item);
+                    if (found) return found;
+                }
+            }
+            return null;
+        };
+        
+        for (const [category, categoryItems] of Object.entries(this.data.inventory)) {
+            const found = search(categoryItems, category, null);
+            if (found) return found;
         }
+        return null;
     }
 
-    // ===== ENCUMBRANCE DISPLAY =====
-    updateEncumbranceDisplay() {
-        const container = document.getElementById(this.containerId);
-        if (!container) return;
+    isInsideItem(item, ancestor) {
+        return this.getContainerContents(ancestor).some(child => child.id === item.id || this.isInsideItem(item, child));
+    }
 
-        const encumbranceText = container.querySelector('.encumbrance-text');
-        const encumbranceFill = container.querySelector('.encumbrance-fill');
-        const encumbranceWarning = container.querySelector('.encumbrance-warning');
+    // Returns null when the item fits, otherwise the reason it cannot go in
+    getContainerRejection(container, item) {
+        const rules = container.container;
+        if (container.id === item.id || this.isInsideItem(container, item)) {
+            return 'A container cannot be placed inside itself.';
+        }
+        if (rules.acceptedTypes && rules.acceptedTypes.length > 0 && !rules.acceptedTypes.includes(item.type)) {
+            return `${container.name} only holds: ${rules.acceptedTypes.join(', ')}.`;
+        }
+        if (this.getContentsWeight(container) + this.getItemTotalWeight(item) > rules.capacity) {
+            return `${container.name} does not have room for ${item.name}.`;
+        }
+        return null;
+    }
+
+    moveItemIntoContainer(itemId, containerId) {
+        const source = this.locateItem(itemId);
+        const target = this.locateItem(containerId);
+        if (!source || !target || !this.isContainer(target.item)) return false;
         
-        if (encumbranceText && encumbranceFill) {
-            const encumbrance = this.calculateEncumbrance();
-            const maxCapacity = this.getMaxCapacity();
-            const isOverEncumbered = this.isEncumbered();
-            const hasItems = Object.values(this.data.inventory).some(categoryItems => categoryItems.length > 0);
+        const rejection = this.getContainerRejection(target.item, source.item);
+        if (rejection) {
+            this.showMessage(rejection);
+            return false;
+        }
+        
+        // Packed items are no longer worn or on the belt
+        this.autoUnequipItem(source.item);
+        source.list.splice(source.index, 1);
+        target.item.contents = this.getContainerContents(target.item);
+        target.item.contents.push(source.item);
+        
+        this.saveData(`Put ${source.item.name} in ${target.item.name}`);
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        return true;
+    }
+
+    moveItemOutOfContainer(itemId) {
+        const source = this.locateItem(itemId);
+        if (!source || !source.parent) return;
+        
+        source.list.splice(source.index, 1);
+        const category = this.getItemCategory(source.item.type);
+        if (!this.data.inventory[category]) {
+            this.data.inventory[category] = [];
+        }
+        this.data.inventory[category].push(source.item);
+        
+        this.saveData(`Took ${source.item.name} out of ${source.parent.name}`);
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+    }
+
+    async dropContainedItem(itemId) {
+        const source = this.locateItem(itemId);
+        if (!source) return;
+        
+        const confirmed = await this.showConfirm(`Are you sure you want to drop "${source.item.name}"? You can undo this from the History tab.`, {
+            title: 'Drop item',
+            confirmLabel: 'Drop',
+            danger: true
+        });
+        if (confirmed) {
+            source.list.splice(source.index, 1);
+            this.saveData(`Dropped ${source.item.name}`);
+            this.updateEncumbranceDisplay();
             
-            encumbranceText.textContent = `Encumbrance: ${encumbrance}/${maxCapacity} units`;
-            encumbranceFill.style.width = `${Math.min((encumbrance / maxCapacity) * 100, 100)}%`;
+            // Refresh current section
+            const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+            if (activeSection) {
+                this.switchEquipmentSection(activeSection);
+            }
+        }
+    }
+
+    showMoveToContainerModal(itemId) {
+        const source = this.locateItem(itemId);
+        if (!source) return;
+        
+        const containers = this.getAllContainers().filter(container =>
+            container.id !== itemId && (!source.parent || container.id !== source.parent.id) && !this.isInsideItem(container, source.item)
+        );
+        if (containers.length === 0) {
+            this.showMessage('There is no other container to put this item in.');
+            return;
+        }
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>Put ${source.item.name} into…</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
             
-            if (encumbranceWarning) {
-                encumbranceWarning.style.display = (hasItems && isOverEncumbered) ? 'block' : 'none';
+            <div class="modal-content">
+                <div class="form-group">
+                    <label for="target-container">Container:</label>
+                    <select id="target-container">
+                        ${containers.map(container => `
+                            <option value="${container.id}">${container.name} (${this.roundWeight(this.getContentsWeight(container))}/${container.container.capacity}u)</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button primary-btn" data-confirm="move">Move</button>
+                <button class="button cancel-btn">Cancel</button>
+            </div>
+        `);
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.dataset.confirm === 'move') {
+                const containerId = this.parseItemId(modal.querySelector('#target-container').value);
+                if (this.moveItemIntoContainer(itemId, containerId)) {
+                    this.closeModal(modal);
+                }
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    renderContainerFormFields(prefix, container) {
+        return `
+            <div class="form-group">
+                <label for="${prefix}-container-capacity">Container capacity (optional):</label>
+                <input type="number" id="${prefix}-container-capacity" min="0" step="any" value="${container ? container.capacity : ''}" placeholder="Leave blank if this item holds nothing">
+            </div>
+            
+            <div class="form-group">
+                <label for="${prefix}-container-types">Container holds only these types (optional):</label>
+                <input type="text" id="${prefix}-container-types" value="${container && container.acceptedTypes ? container.acceptedTypes.join(', ') : ''}" placeholder="e.g., ammunition">
+            </div>
+            
+            <label class="tag-checkbox">
+                <input type="checkbox" id="${prefix}-container-weightless" ${container && container.contentsCountTowardEncumbrance === false ? 'checked' : ''}>
+                Contents don't count toward encumbrance
+            </label>
+        `;
+    }
+
+    readContainerFormFields(modal, prefix) {
+        const capacity = this.parseWeightInput(modal.querySelector(`#${prefix}-container-capacity`).value);
+        if (capacity === null) return null;
+        
+        const acceptedTypes = modal.querySelector(`#${prefix}-container-types`).value
+            .split(',')
+            .map(type => type.trim().toLowerCase())
+            .filter(type => type);
+        
+        return {
+            capacity,
+            acceptedTypes: acceptedTypes.length > 0 ? acceptedTypes : null,
+            contentsCountTowardEncumbrance: !modal.querySelector(`#${prefix}-container-weightless`).checked
+        };
+    }
+
+    autoUnequipItem(item) {
+        this.getEquippedSlotsOf(item).forEach(({ slot, index }) => {
+            if (index === null) {
+                this.data.equipped[slot] = null;
+            } else {
+                this.data.equipped[slot][index] = null;
+            }
+        });
+    }
+
+    // ===== LOADOUTS =====
+    // A loadout stores item ids per slot, so it survives renames and JSON round-trips
+    snapshotEquipped() {
+        const slots = {};
+        Object.entries(this.data.equipped).forEach(([slotId, contents]) => {
+            slots[slotId] = Array.isArray(contents) ? contents.slice() : contents;
+        });
+        return slots;
+    }
+
+    // Names are kept only so a report can say what went missing
+    snapshotItemNames() {
+        const names = {};
+        this.getAllItems().filter(item => this.isItemEquipped(item)).forEach(item => {
+            names[item.id] = item.name;
+        });
+        return names;
+    }
+
+    countLoadoutItems(loadout) {
+        const ids = new Set();
+        Object.values(loadout.slots).forEach(value => {
+            (Array.isArray(value) ? value : [value]).forEach(id => {
+                if (id !== null && id !== undefined) ids.add(id);
+            });
+        });
+        return ids.size;
+    }
+
+    getLoadout(loadoutId) {
+        return (this.data.loadouts || []).find(loadout => String(loadout.id) === String(loadoutId)) || null;
+    }
+
+    saveLoadout(name) {
+        const loadout = {
+            id: this.generateId('loadout'),
+            name,
+            slots: this.snapshotEquipped(),
+            itemNames: this.snapshotItemNames()
+        };
+        this.data.loadouts = [...(this.data.loadouts || []), loadout];
+        this.saveData(`Saved loadout ${name}`);
+        this.refreshOverview();
+        return loadout;
+    }
+
+    async promptSaveLoadout() {
+        const name = await this.showPrompt('Name this loadout:', '', { title: 'Save loadout' });
+        if (name && name.trim()) {
+            this.saveLoadout(name.trim());
+        }
+    }
+
+    updateLoadout(loadoutId) {
+        const loadout = this.getLoadout(loadoutId);
+        if (!loadout) return;
+        
+        loadout.slots = this.snapshotEquipped();
+        loadout.itemNames = this.snapshotItemNames();
+        this.saveData(`Updated loadout ${loadout.name}`);
+        this.refreshOverview();
+    }
+
+    async renameLoadout(loadoutId) {
+        const loadout = this.getLoadout(loadoutId);
+        if (!loadout) return;
+        
+        const name = await this.showPrompt('New loadout name:', loadout.name, { title: 'Rename loadout' });
+        if (name && name.trim()) {
+            loadout.name = name.trim();
+            this.saveData(`Renamed loadout to ${loadout.name}`);
+            this.refreshOverview();
+        }
+    }
+
+    async deleteLoadout(loadoutId) {
+        const loadout = this.getLoadout(loadoutId);
+        if (!loadout) return;
+        
+        const confirmed = await this.showConfirm(`Delete the "${loadout.name}" loadout? Your items are not affected.`, {
+            title: 'Delete loadout',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (confirmed) {
+            this.data.loadouts = this.data.loadouts.filter(entry => entry !== loadout);
+            this.saveData(`Deleted loadout ${loadout.name}`);
+            this.refreshOverview();
+        }
+    }
+
+    /**
+     * Re-equip everything a loadout lists. Returns a report of items that are no longer in the
+     * inventory (missing), could not be placed or are packed in a container (skipped) and
+     * items taken off (unequipped).
+     */
+    applyLoadout(loadoutId, { showReport = true } = {}) {
+        const loadout = this.getLoadout(loadoutId);
+        if (!loadout) return null;
+        
+        const report = { missing: [], skipped: [], unequipped: [] };
+        const previouslyEquipped = this.getAllItems().filter(item => this.isItemEquipped(item));
+        const equipped = this.getEmptyEquipped();
+        const placed = new Set();
+        
+        const resolve = (slotId, itemId) => {
+            if (itemId === null || itemId === undefined) return null;
+            const found = this.findInventoryItem(itemId);
+            if (!found) {
+                // Packed items are still owned, they just can't be equipped until taken out
+                const packed = this.locateItem(itemId);
+                if (packed) {
+                    report.skipped.push(`${packed.item.name} (packed in ${packed.parent.name})`);
+                    return null;
+                }
+                const name = (loadout.itemNames && loadout.itemNames[itemId]) || `item ${itemId}`;
+                if (!report.missing.includes(name)) report.missing.push(name);
+                return null;
+            }
+            if (!this.slotAccepts(slotId, found.item)) {
+                report.skipped.push(found.item.name);
+                return null;
+            }
+            placed.add(found.item.id);
+            return found.item.id;
+        };
+        
+        Object.entries(loadout.slots).forEach(([slotId, value]) => {
+            if (!(slotId in equipped)) {
+                // The slot layout changed since the loadout was saved
+                (Array.isArray(value) ? value : [value]).filter(id => id !== null && id !== undefined).forEach(id => {
+                    const found = this.findInventoryItem(id);
+                    if (found) report.skipped.push(found.item.name);
+                });
+                return;
+            }
+            if (Array.isArray(equipped[slotId])) {
+                const ids = Array.isArray(value) ? value : [value];
+                ids.forEach((id, i) => {
+                    const itemId = resolve(slotId, id);
+                    if (itemId === null) return;
+                    if (i < equipped[slotId].length) {
+                        equipped[slotId][i] = itemId;
+                    } else {
+                        // Current bag has fewer belt slots than when the loadout was saved
+                        placed.delete(itemId);
+                        report.skipped.push(this.findInventoryItem(itemId).item.name);
+                    }
+                });
+            } else {
+                equipped[slotId] = resolve(slotId, Array.isArray(value) ? value.find(id => id !== null) : value);
+            }
+        });
+        
+        report.unequipped = previouslyEquipped.filter(item => !placed.has(item.id)).map(item => item.name);
+        this.data.equipped = equipped;
+        
+        this.saveData(`Applied loadout ${loadout.name}`);
+        this.updateEncumbranceDisplay();
+        this.refreshOverview();
+        
+        if (showReport) {
+            const lines = [`Applied "${loadout.name}".`];
+            if (report.missing.length > 0) lines.push(`Missing from inventory: ${report.missing.join(', ')}.`);
+            if (report.skipped.length > 0) lines.push(`Could not be equipped: ${report.skipped.join(', ')}.`);
+            if (report.unequipped.length > 0) lines.push(`Unequipped: ${report.unequipped.join(', ')}.`);
+            this.showMessage(lines.join('<br>'), 'Loadout applied');
+        }
+        return report;
+    }
+
+    refreshOverview() {
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection === 'overview') {
+            this.switchEquipmentSection('overview');
+        }
+    }
+
+    // ===== SEARCH AND FILTERING =====
+    updateSearch(searchTerm) {
+        this.data.searchTerm = searchTerm;
+        this.saveData();
+        
+        const inventoryContent = document.querySelector(`#${this.containerId} .inventory-content`);
+        if (inventoryContent) {
+            inventoryContent.innerHTML = this.renderInventoryCategories();
+        }
+    }
+
+    updateCategoryFilter(category) {
+        this.data.selectedCategory = category;
+        this.saveData();
+        
+        const inventoryContent = document.querySelector(`#${this.containerId} .inventory-content`);
+        if (inventoryContent) {
+            inventoryContent.innerHTML = this.renderInventoryCategories();
+        }
+    }
+
+    // ===== BAG MANAGEMENT =====
+    /**
+     * Switch bags. Belt items keep their slots; items past the new bag's belt size move into
+     * free slots, and whatever still does not fit is unequipped. The player confirms first if
+     * items would come off the belt or the new capacity leaves the character encumbered.
+     */
+    async changeBagType(bagName) {
+        const newBag = this.bagTypes[bagName];
+        if (!newBag || bagName === this.data.selectedBag) return false;
+        
+        // Nothing changes until the player confirms, so saves, undo and renders made while the
+        // dialog is open never see the new bag
+        const previousBag = this.data.selectedBag;
+        const { equipped, overflow } = this.planBeltResize(newBag.consumableSlots);
+        const encumbrance = this.calculateEncumbranceWith(equipped);
+        const hasItems = Object.values(this.data.inventory).some(categoryItems => categoryItems.length > 0);
+        const warnings = [];
+        if (overflow.length > 0) {
+            warnings.push(`The ${bagName} only has ${newBag.consumableSlots} belt slots. These items will be unequipped: ${overflow.map(item => item.name).join(', ')}.`);
+        }
+        const tier = this.getEncumbranceTier(encumbrance, newBag.capacity);
+        if (hasItems && tier.index > 0) {
+            warnings.push(`You are carrying ${encumbrance} units but the ${bagName} holds ${newBag.capacity}. You will be ${tier.label.toLowerCase()}${tier.effect ? `: ${tier.effect}` : ''}.`);
+        }
+        
+        if (warnings.length > 0) {
+            const confirmed = await this.showConfirm(warnings.join('<br><br>'), {
+                title: 'Change bag',
+                confirmLabel: `Switch to ${bagName}`,
+                cancelLabel: 'Keep current bag'
+            });
+            const bagSelect = document.querySelector(`#${this.containerId} #bag-select`);
+            if (!confirmed) {
+                if (bagSelect) {
+                    bagSelect.value = this.data.selectedBag;
+                }
+                return false;
+            }
+            
+            // The data or the room's bags may have changed while the dialog was open
+            if (this.bagTypes[bagName] !== newBag || this.data.selectedBag !== previousBag || JSON.stringify(this.planBeltResize(newBag.consumableSlots).equipped) !== JSON.stringify(equipped)) {
+                if (bagSelect) {
+                    bagSelect.value = this.data.selectedBag;
+                }
+                this.showMessage('Your equipment changed while you were deciding. Pick the bag again.', 'Bag not changed');
+                return false;
+            }
+        }
+        
+        this.data.equipped = equipped;
+        this.data.selectedBag = bagName;
+        this.saveData(`Changed bag to ${bagName}`);
+        this.updateEncumbranceDisplay();
+        
+        // Update bag info display
+        this.updateBagInfo();
+        
+        // Refresh overview
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        return true;
+    }
+
+    /**
+     * Fit the belt to a bag with consumableSlots belt slots, without changing anything. Belt
+     * items keep their slots and items past the end move into free slots. Returns the new
+     * equipped slots and the items that still don't fit.
+     */
+    planBeltResize(consumableSlots) {
+        const equipped = { ...this.data.equipped };
+        const overflow = [];
+        this.slotLayout.filter(slot => slot.count === 'bag').forEach(slot => {
+            const current = this.data.equipped[slot.id] || [];
+            const kept = current.slice(0, consumableSlots);
+            while (kept.length < consumableSlots) kept.push(null);
+            
+            current.slice(consumableSlots).filter(id => id !== null && id !== undefined).forEach(id => {
+                const item = this.findInventoryItem(id)?.item;
+                if (!item) return;
+                const free = kept.indexOf(null);
+                if (free !== -1) {
+                    kept[free] = id;
+                } else {
+                    overflow.push(item);
+                }
+            });
+            equipped[slot.id] = kept;
+        });
+        return { equipped, overflow };
+    }
+
+    /**
+     * Keep the character in a usable bag after the room's bags change: follow a renamed bag,
+     * fall back to the default bag when theirs is gone, and fit the belt as changeBagType()
+     * does. The change is saved and the player is told what came off the belt.
+     */
+    fitToRoomBags() {
+        const previousBag = this.data.selectedBag;
+        const bagName = this.resolveBagName(previousBag);
+        const { equipped, overflow } = this.planBeltResize(this.bagTypes[bagName].consumableSlots);
+        if (bagName === previousBag && JSON.stringify(equipped) === JSON.stringify(this.data.equipped)) return;
+        
+        const renamed = (this.customBagTypes[bagName]?.previousNames || []).includes(previousBag);
+        this.data.selectedBag = bagName;
+        this.data.equipped = equipped;
+        if (bagName === previousBag) {
+            this.saveData(`${bagName} was changed`);
+        } else {
+            this.saveData(renamed ? `${previousBag} was renamed to ${bagName}` : `${previousBag} was removed`);
+        }
+        
+        const lines = [];
+        if (bagName !== previousBag) {
+            lines.push(renamed ?
+                `The GM renamed your ${previousBag} to ${bagName}.` :
+                `The GM removed the ${previousBag}, so you now use the ${bagName}.`);
+        }
+        if (overflow.length > 0) {
+            lines.push(`The ${bagName} has ${this.bagTypes[bagName].consumableSlots} belt slots. These items came off your belt: ${overflow.map(item => item.name).join(', ')}.`);
+        }
+        if (lines.length > 0) {
+            this.showMessage(lines.join('<br>'), 'Bag changed');
+        }
+    }
+
+    // A bag name that may have been renamed or removed, resolved to a bag that exists
+    resolveBagName(bagName) {
+        if (this.bagTypes[bagName]) return bagName;
+        const renamed = Object.keys(this.customBagTypes).find(name => (this.customBagTypes[name].previousNames || []).includes(bagName));
+        return renamed || this.rulesPack.defaultBag;
+    }
+
+    updateBagInfo() {
+        const bagInfo = document.querySelector(`#${this.containerId} .bag-info`);
+        if (bagInfo) {
+            bagInfo.innerHTML = this.renderBagInfo();
+        }
+        this.updateActiveModifiers();
+    }
+
+    updateBagSelector() {
+        const bagSelect = document.querySelector(`#${this.containerId} #bag-select`);
+        if (bagSelect) {
+            bagSelect.innerHTML = this.renderBagOptions();
+        }
+    }
+
+    renderBagOptions() {
+        return Object.keys(this.bagTypes).map(bagName =>
+            `<option value="${bagName}" ${this.data.selectedBag === bagName ? 'selected' : ''}>${bagName}${this.customBagTypes[bagName] ? ' (room)' : ''}</option>`
+        ).join('');
+    }
+
+    renderBagInfo() {
+        const selectedBag = this.getSelectedBag();
+        return `
+            <span class="bag-capacity">Capacity: ${selectedBag.capacity} units</span>
+            <span class="bag-consumables">Belt Slots: ${selectedBag.consumableSlots}</span>
+            ${selectedBag.bonus ? `<span class="bag-bonus">${this.formatModifier(selectedBag.bonus)}</span>` : ''}
+        `;
+    }
+
+    // "+1 to Finesse rolls in combat"; older packs store the text directly
+    formatModifier(modifier) {
+        if (!modifier || typeof modifier === 'string') return modifier || '';
+        const condition = MODIFIER_CONDITIONS[modifier.condition];
+        return `${modifier.amount > 0 ? '+' : ''}${modifier.amount} to ${modifier.ability} rolls${condition && condition.phrase ? ` ${condition.phrase}` : ''}`;
+    }
+
+    // ===== MODIFIERS =====
+    // Bag bonuses, item modifiers and the pack's tagModifiers all share the
+    // {ability, amount, condition} shape so dice tooling can add them up
+
+    // A bag's bonus as a structured modifier; text bonuses from older packs are parsed when they can be
+    getBagModifier(bag) {
+        if (!bag || !bag.bonus) return null;
+        const modifier = typeof bag.bonus === 'string' ? parseModifierText(bag.bonus) : bag.bonus;
+        return modifier && getModifierErrors('bonus', modifier).length === 0 ? modifier : null;
+    }
+
+    getItemModifiers(item) {
+        if (!item || !Array.isArray(item.modifiers)) return [];
+        return item.modifiers.filter(modifier => getModifierErrors('modifier', modifier).length === 0);
+    }
+
+    get tagModifiers() {
+        return this.rulesPack.tagModifiers || {};
+    }
+
+    // Every modifier from the selected bag, equipped items and their tags, whatever its condition
+    getModifierSources() {
+        const modifiers = [];
+        const add = (modifier, source) => {
+            modifiers.push({
+                ability: modifier.ability,
+                amount: modifier.amount,
+                condition: modifier.condition,
+                source
+            });
+        };
+        
+        const bagModifier = this.getBagModifier(this.getSelectedBag());
+        if (bagModifier) {
+            add(bagModifier, { type: 'bag', name: this.data.selectedBag });
+        }
+        
+        // A two-handed weapon fills both hands but only counts once
+        const seen = new Set();
+        Object.values(this.getEquippedItems())
+            .flatMap(contents => Array.isArray(contents) ? contents : [contents])
+            .filter(item => item && !seen.has(item.id) && seen.add(item.id))
+            .forEach(item => {
+                this.getItemModifiers(item).forEach(modifier => {
+                    add(modifier, { type: 'item', name: item.name, itemId: item.id });
+                });
+                (item.tags || []).forEach(tag => {
+                    (this.tagModifiers[tag] || []).forEach(modifier => {
+                        add(modifier, { type: 'tag', name: tag, itemId: item.id, itemName: item.name });
+                    });
+                });
+            });
+        return modifiers;
+    }
+
+    /**
+     * Every modifier that applies to a roll, from the selected bag, equipped items and the tags
+     * on equipped items. Returns { modifiers: [{ability, amount, condition, source}], totals }
+     * where totals sums the amounts per ability.
+     *
+     * context.combat / context.crafting describe the roll. A conditional modifier only applies
+     * when the context confirms its condition (combat: true, combat: false or crafting: true),
+     * so with no context only 'always' modifiers count. context.ability limits the result to one ability.
+     */
+    getActiveModifiers(context = {}) {
+        const modifiers = this.getModifierSources().filter(modifier =>
+            (!context.ability || modifier.ability === context.ability) &&
+            MODIFIER_CONDITIONS[modifier.condition].applies(context));
+        
+        const totals = {};
+        modifiers.forEach(modifier => {
+            totals[modifier.ability] = (totals[modifier.ability] || 0) + modifier.amount;
+        });
+        return { modifiers, totals };
+    }
+
+    // Lists every modifier with its condition; the totals only count the ones that always apply
+    renderActiveModifiers() {
+        const modifiers = this.getModifierSources();
+        const { totals } = this.getActiveModifiers();
+        const sourceLabel = (source) => source.type === 'tag' ? `${source.name} (${source.itemName})` : source.name;
+        const totalEntries = Object.entries(totals).filter(([, amount]) => amount !== 0);
+        
+        return `
+            <h3>Active Modifiers</h3>
+            ${totalEntries.length > 0 ? `
+                <div class="modifier-totals">
+                    Always: ${totalEntries.map(([ability, amount]) => `${ability} ${amount > 0 ? '+' : ''}${amount}`).join(', ')}
+                </div>
+            ` : ''}
+            ${modifiers.length > 0 ? `
+                <ul class="modifier-list">
+                    ${modifiers.map(modifier => `
+                        <li class="modifier-entry">
+                            <span class="modifier-text">${this.formatModifier(modifier)}</span>
+                            <span class="modifier-source">${sourceLabel(modifier.source)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<div class="empty-slot">No modifiers from your bag or equipped items</div>'}
+        `;
+    }
+
+    updateActiveModifiers() {
+        const panel = document.querySelector(`#${this.containerId} .active-modifiers`);
+        if (panel) {
+            panel.innerHTML = this.renderActiveModifiers();
+        }
+    }
+
+    renderModifierFormFields(prefix, modifiers) {
+        return `
+            <div class="form-group">
+                <label>Roll modifiers (optional):</label>
+                <div class="modifier-rows" id="${prefix}-modifiers">
+                    ${(modifiers || []).map(modifier => this.renderModifierRow(modifier)).join('')}
+                </div>
+                <button type="button" class="button" data-add-modifier="${prefix}">+ Add Modifier</button>
+            </div>
+        `;
+    }
+
+    renderModifierRow(modifier = null) {
+        return `
+            <div class="modifier-row bag-bonus-fields">
+                <input type="number" class="modifier-amount" step="1" value="${modifier ? modifier.amount : 1}" aria-label="Modifier amount">
+                <select class="modifier-ability" aria-label="Modifier ability">
+                    ${this.abilities.map(ability => `<option value="${ability}" ${modifier && modifier.ability === ability ? 'selected' : ''}>to ${ability} rolls</option>`).join('')}
+                </select>
+                <select class="modifier-condition" aria-label="Modifier condition">
+                    ${Object.entries(MODIFIER_CONDITIONS).map(([id, condition]) => `<option value="${id}" ${modifier && modifier.condition === id ? 'selected' : ''}>${condition.label}</option>`).join('')}
+                </select>
+                <button type="button" class="button remove-btn" data-remove-modifier="true" aria-label="Remove modifier">✕</button>
+            </div>
+        `;
+    }
+
+    // Add and remove modifier rows inside a modal built with renderModifierFormFields()
+    attachModifierFormListeners(modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target.dataset.addModifier) {
+                modal.querySelector(`#${e.target.dataset.addModifier}-modifiers`)
+                    .insertAdjacentHTML('beforeend', this.renderModifierRow());
+            } else if (e.target.dataset.removeModifier) {
+                e.target.closest('.modifier-row').remove();
+            }
+        });
+    }
+
+    // Rows with a zero amount are ignored; returns null when no modifiers remain
+    readModifierFormFields(modal, prefix) {
+        const modifiers = Array.from(modal.querySelectorAll(`#${prefix}-modifiers .modifier-row`))
+            .map(row => ({
+                ability: row.querySelector('.modifier-ability').value,
+                amount: parseInt(row.querySelector('.modifier-amount').value) || 0,
+                condition: row.querySelector('.modifier-condition').value
+            }))
+            .filter(modifier => modifier.amount !== 0);
+        return modifiers.length > 0 ? modifiers : null;
+    }
+
+    // ===== CUSTOM BAG TYPES =====
+    // Room-wide bags added by the GM. They are not character data: changes go out through
+    // onCustomBagTypesChanged so the host can store them with the room.
+    getCustomBagTypeErrors(name, bag) {
+        const errors = getBagTypeErrors(`Bag "${name}"`, bag);
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            errors.unshift('Bag name is required');
+        }
+        return errors;
+    }
+
+    /**
+     * Replace the room's custom bag types. Invalid entries are skipped; a character whose
+     * bag was renamed follows it, and one whose bag no longer exists falls back to the rules
+     * pack's default bag (see fitToRoomBags).
+     */
+    setCustomBagTypes(bags) {
+        this.customBagTypes = {};
+        Object.entries(bags || {}).forEach(([name, bag]) => {
+            if (this.getCustomBagTypeErrors(name, bag).length === 0) {
+                this.customBagTypes[name] = bag;
+            }
+        });
+        
+        // Still initialising
+        if (!this.data) return;
+        
+        this.fitToRoomBags();
+        this.updateBagSelector();
+        this.updateBagInfo();
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+    }
+
+    getCustomBagTypes() {
+        return { ...this.customBagTypes };
+    }
+
+    // Store the room's bags through the host. The bags here only change once that has worked.
+    async publishCustomBagTypes(bags) {
+        try {
+            await this.options.onCustomBagTypesChanged(bags);
+        } catch (error) {
+            this.showMessage(`The room's bags could not be saved: ${error.message}`, 'Bags not saved');
+            return false;
+        }
+        this.setCustomBagTypes(bags);
+        return true;
+    }
+
+    async saveCustomBagType(name, bag, originalName = null) {
+        const errors = this.getCustomBagTypeErrors(name, bag);
+        if (this.rulesPack.bagTypes[name]) {
+            errors.push(`"${name}" is already a ${this.rulesPack.name} bag`);
+        }
+        if (name !== originalName && this.customBagTypes[name]) {
+            errors.push(`There is already a custom bag called "${name}"`);
+        }
+        if (errors.length > 0) {
+            this.showMessage(errors.join('<br>'), 'Bag not saved');
+            return false;
+        }
+        
+        const bags = { ...this.customBagTypes };
+        if (originalName && originalName !== name) {
+            // Characters using the old name follow the bag to its new one
+            const previousNames = bags[originalName].previousNames || [];
+            bag = { ...bag, previousNames: [...previousNames.filter(previous => previous !== name), originalName] };
+            delete bags[originalName];
+        } else if (originalName) {
+            bag = { ...bag, previousNames: bags[originalName].previousNames };
+        }
+        bags[name] = bag;
+        return this.publishCustomBagTypes(bags);
+    }
+
+    async deleteCustomBagType(name) {
+        if (!this.customBagTypes[name]) return false;
+        
+        const confirmed = await this.showConfirm(`Delete the "${name}" bag for everyone in this room? Characters using it switch to the ${this.rulesPack.defaultBag}.`, {
+            title: 'Delete bag',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return false;
+        
+        const bags = { ...this.customBagTypes };
+        delete bags[name];
+        return this.publishCustomBagTypes(bags);
+    }
+
+    showManageBagsModal() {
+        const renderList = () => {
+            const names = Object.keys(this.customBagTypes);
+            return names.length > 0 ?
+                names.map(name => {
+                    const bag = this.customBagTypes[name];
+                    return `
+                        <div class="loadout-entry">
+                            <span class="loadout-name">${name}</span>
+                            <span class="loadout-count">${bag.capacity} units · ${bag.consumableSlots} belt${bag.bonus ? ` · ${this.formatModifier(bag.bonus)}` : ''}</span>
+                            <button class="button" data-bag-edit="${name}">Edit</button>
+                            <button class="button remove-btn" data-bag-delete="${name}">✕</button>
+                        </div>
+                    `;
+                }).join('') :
+                '<div class="empty-slot">No custom bags yet</div>';
+        };
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>Room Bag Types</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
+            
+            <div class="modal-content">
+                <p class="drag-hint">Custom bags appear in the bag selector for every player in this room.</p>
+                <div class="loadout-list custom-bag-list">${renderList()}</div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button primary-btn" data-bag-new="true">+ New Bag</button>
+                <button class="button cancel-btn">Close</button>
+            </div>
+        `);
+        
+        const refreshList = () => {
+            modal.querySelector('.custom-bag-list').innerHTML = renderList();
+        };
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target.dataset.bagNew) {
+                this.showBagTypeModal(null, refreshList);
+            } else if (e.target.dataset.bagEdit) {
+                this.showBagTypeModal(e.target.dataset.bagEdit, refreshList);
+            } else if (e.target.dataset.bagDelete) {
+                if (await this.deleteCustomBagType(e.target.dataset.bagDelete)) {
+                    refreshList();
+                }
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    showBagTypeModal(name = null, onSaved = () => {}) {
+        const bag = name ? this.customBagTypes[name] : null;
+        const bonus = bag && typeof bag.bonus === 'object' ? bag.bonus : null;
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>${name ? `Edit ${name}` : 'New Bag Type'}</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
+            
+            <div class="modal-content">
+                <div class="form-group">
+                    <label for="bag-name">Name:</label>
+                    <input type="text" id="bag-name" value="${name || ''}" placeholder="e.g., Bag of Holding, Mule, Handcart">
+                </div>
+                
+                <div class="form-group">
+                    <label for="bag-capacity">Capacity (units):</label>
+                    <input type="number" id="bag-capacity" min="1" step="any" value="${bag ? bag.capacity : 30}">
+                </div>
+                
+                <div class="form-group">
+                    <label for="bag-belt-slots">Belt slots:</label>
+                    <input type="number" id="bag-belt-slots" min="0" step="1" value="${bag ? bag.consumableSlots : 3}">
+                </div>
+                
+                <div class="form-group">
+                    <label for="bag-bonus-ability">Bonus:</label>
+                    <div class="bag-bonus-fields">
+                        <input type="number" id="bag-bonus-amount" step="1" value="${bonus ? bonus.amount : 1}" aria-label="Bonus amount">
+                        <select id="bag-bonus-ability" aria-label="Bonus ability">
+                            <option value="">No bonus</option>
+                            ${this.abilities.map(ability => `<option value="${ability}" ${bonus && bonus.ability === ability ? 'selected' : ''}>to ${ability} rolls</option>`).join('')}
+                        </select>
+                        <select id="bag-bonus-condition" aria-label="Bonus condition">
+                            ${Object.entries(MODIFIER_CONDITIONS).map(([id, condition]) => `<option value="${id}" ${bonus && bonus.condition === id ? 'selected' : ''}>${condition.label}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button primary-btn" data-confirm="save">Save</button>
+                <button class="button cancel-btn">Cancel</button>
+            </div>
+        `);
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target.dataset.confirm === 'save') {
+                const ability = modal.querySelector('#bag-bonus-ability').value;
+                const newBag = {
+                    capacity: parseFloat(modal.querySelector('#bag-capacity').value),
+                    consumableSlots: parseInt(modal.querySelector('#bag-belt-slots').value),
+                    bonus: ability ? {
+                        ability,
+                        amount: parseInt(modal.querySelector('#bag-bonus-amount').value),
+                        condition: modal.querySelector('#bag-bonus-condition').value
+                    } : null
+                };
+                if (await this.saveCustomBagType(modal.querySelector('#bag-name').value.trim(), newBag, name)) {
+                    this.closeModal(modal);
+                    onSaved();
+                }
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    // ===== SHOPS =====
+    // Room-wide shops run by the GM. The host keeps each shop under its own room key and passes
+    // every change through onShopUpdate, which applies it to the latest stored copy of that shop.
+    // A stale copy here therefore never overwrites another player's purchase or the GM's edits.
+    setShops(shops) {
+        this.shops = {};
+        Object.entries(shops || {}).forEach(([id, shop]) => {
+            if (getShopErrors(`Shop "${id}"`, shop).length === 0) {
+                this.shops[id] = shop;
+            }
+        });
+        
+        // Still initialising
+        if (!this.data) return;
+        
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection === 'shops') {
+            this.switchEquipmentSection('shops');
+        }
+    }
+
+    getShops() {
+        return JSON.parse(JSON.stringify(this.shops));
+    }
+
+    /**
+     * Store a change to one shop. update(latest) gets a copy of the latest stored shop (or null)
+     * and returns the new shop, or null to delete it; it throws a ShopError to refuse the change.
+     * This player's shops only change once the write has succeeded. Returns the stored shop,
+     * or false when the change was refused or failed.
+     */
+    async updateShop(shopId, update) {
+        const write = this.options.onShopUpdate || (async (id, apply) => apply(this.shops[id] || null));
+        try {
+            const shop = await write(shopId, (latest) => {
+                const next = update(latest ? JSON.parse(JSON.stringify(latest)) : null);
+                const errors = next ? getShopErrors(`Shop "${next.name}"`, next) : [];
+                if (errors.length > 0) {
+                    throw new ShopError(errors.join('<br>'));
+                }
+                return next;
+            });
+            
+            const shops = { ...this.shops };
+            if (shop) {
+                shops[shopId] = shop;
+            } else {
+                delete shops[shopId];
+            }
+            this.setShops(shops);
+            return shop;
+        } catch (error) {
+            this.showMessage(error instanceof ShopError ? error.message : `The shop could not be saved: ${error.message}`, 'Shop not updated');
+            return false;
+        }
+    }
+
+    // The shop picked in the Shops tab, falling back to the first one
+    getSelectedShopId() {
+        return this.shops[this.selectedShopId] ? this.selectedShopId : Object.keys(this.shops)[0] || null;
+    }
+
+    // A shop buys back what it lists (same name and type) at its buy-back percentage of the list price
+    findShopListing(shop, item) {
+        return shop.items.find(listing => listing.item.name === item.name && listing.item.type === item.type) || null;
+    }
+
+    getShopBuyBackPrice(shop, listing) {
+        return Math.floor(listing.price * shop.buyBackPercent / 100);
+    }
+
+    changeShopStock(shopId, listingId, change) {
+        return this.updateShop(shopId, (shop) => {
+            const listing = shop?.items.find(entry => entry.id === listingId);
+            if (listing && listing.stock !== null) {
+                listing.stock = Math.max(0, listing.stock + change);
+            }
+            return shop;
+        });
+    }
+
+    /**
+     * Buy one of a shop's listings through buyItem(). The unit comes off the latest stock before
+     * the character pays, so two players can't both buy the last one; it goes back if the
+     * purchase is refused. Returns the inventory entry, or null.
+     */
+    async buyFromShop(shopId, listingId) {
+        let listing = null;
+        let shopName = null;
+        const taken = await this.updateShop(shopId, (shop) => {
+            listing = shop?.items.find(entry => entry.id === listingId);
+            if (!listing) {
+                throw new ShopError(`${shop ? shop.name : 'The shop'} no longer sells that.`);
+            }
+            if (listing.stock === 0) {
+                throw new ShopError(`${shop.name} has sold out of ${listing.item.name}.`);
+            }
+            if (listing.price > this.data.gold.amount) {
+                throw new ShopError(`${listing.item.name} costs ${this.formatGoldValue(listing.price)} but you only carry ${this.formatGoldValue(this.data.gold.amount)}.`);
+            }
+            if (listing.stock !== null) {
+                listing.stock -= 1;
+            }
+            shopName = shop.name;
+            return shop;
+        });
+        if (!taken) return null;
+        
+        const item = { ...JSON.parse(JSON.stringify(listing.item)), quantity: 1, id: this.generateItemId() };
+        // The shop's stock is room data that undo can't restore, so the trade is final
+        const entry = this.buyItem(item, listing.price, { reason: `Bought ${item.name} from ${shopName}`, undoable: false });
+        if (!entry) {
+            await this.changeShopStock(shopId, listingId, 1);
+        }
+        return entry;
+    }
+
+    /**
+     * Sell one unit of an inventory entry to a shop that lists it, at the shop's latest buy-back
+     * price. The unit goes back into the shop's stock. Returns the price paid, or null.
+     */
+    async sellToShop(shopId, category, index) {
+        const item = this.data.inventory[category]?.[index];
+        if (!item) return null;
+        
+        let listing = null;
+        let price = 0;
+        let shopName = null;
+        const restocked = await this.updateShop(shopId, (shop) => {
+            listing = shop ? this.findShopListing(shop, item) : null;
+            if (!listing) {
+                throw new ShopError(`${shop ? shop.name : 'This shop'} doesn't buy that.`);
+            }
+            if (listing.stock !== null) {
+                listing.stock += 1;
+            }
+            price = this.getShopBuyBackPrice(shop, listing);
+            shopName = shop.name;
+            return shop;
+        });
+        if (!restocked) return null;
+        
+        // The item may have been dropped or used while the shop was saving
+        const currentIndex = (this.data.inventory[category] || []).indexOf(item);
+        if (currentIndex === -1) {
+            await this.changeShopStock(shopId, listing.id, -1);
+            return null;
+        }
+        
+        const overflow = this.sellInventoryItem(category, currentIndex, price, {
+            quantity: 1,
+            reason: `Sold ${item.name} to ${shopName}`,
+            undoable: false
+        });
+        this.showMessage(`Sold "${item.name}" to ${shopName} for ${this.formatGoldValue(price)}!${this.describeGoldOverflow(overflow)}`);
+        return price;
+    }
+
+    /**
+     * Save a shop from the GM's form. opened is the shop as the form first showed it: stock the
+     * GM left unchanged keeps following purchases made while the form was open.
+     */
+    async saveShop(shop, shopId = null, opened = null) {
+        const errors = getShopErrors(shop.name ? `Shop "${shop.name}"` : 'Shop', shop);
+        if (errors.length > 0) {
+            this.showMessage(errors.join('<br>'), 'Shop not saved');
+            return false;
+        }
+        
+        const saved = await this.updateShop(shopId || this.generateId('shop'), (latest) => {
+            shop.items.forEach(listing => {
+                const openedListing = opened?.items.find(entry => entry.id === listing.id);
+                const latestListing = latest?.items.find(entry => entry.id === listing.id);
+                if (openedListing && latestListing && openedListing.stock === listing.stock) {
+                    listing.stock = latestListing.stock;
+                }
+            });
+            return shop;
+        });
+        return !!saved;
+    }
+
+    async deleteShop(shopId) {
+        const shop = this.shops[shopId];
+        if (!shop) return false;
+        
+        const confirmed = await this.showConfirm(`Close "${shop.name}" for everyone in this room?`, {
+            title: 'Delete shop',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return false;
+        
+        return await this.updateShop(shopId, () => null) !== false;
+    }
+
+    showManageShopsModal() {
+        const renderList = () => {
+            const entries = Object.entries(this.shops);
+            return entries.length > 0 ?
+                entries.map(([id, shop]) => `
+                    <div class="loadout-entry">
+                        <span class="loadout-name">${shop.name}</span>
+                        <span class="loadout-count">${shop.items.length} item${shop.items.length !== 1 ? 's' : ''} · buys back at ${shop.buyBackPercent}%</span>
+                        <button class="button" data-shop-edit="${id}">Edit</button>
+                        <button class="button remove-btn" data-shop-delete="${id}">✕</button>
+                    </div>
+                `).join('') :
+                '<div class="empty-slot">No shops yet</div>';
+        };
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>Room Shops</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
+            
+            <div class="modal-content">
+                <p class="drag-hint">Shops appear in the Shops tab for every player in this room.</p>
+                <div class="loadout-list shop-list">${renderList()}</div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button primary-btn" data-shop-new="true">+ New Shop</button>
+                <button class="button cancel-btn">Close</button>
+            </div>
+        `);
+        
+        const refreshList = () => {
+            modal.querySelector('.shop-list').innerHTML = renderList();
+        };
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target.dataset.shopNew) {
+                this.showShopModal(null, refreshList);
+            } else if (e.target.dataset.shopEdit) {
+                this.showShopModal(e.target.dataset.shopEdit, refreshList);
+            } else if (e.target.dataset.shopDelete) {
+                if (await this.deleteShop(e.target.dataset.shopDelete)) {
+                    refreshList();
+                }
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    renderShopListingRow(listing = null) {
+        return `
+            <div class="shop-listing-row" data-listing-id="${listing ? listing.id : ''}">
+                <input type="text" class="listing-name" value="${listing ? listing.item.name : ''}" placeholder="Item name" aria-label="Item name">
+                <select class="listing-type" aria-label="Item type">
+                    ${this.itemTypes.map(type => `<option value="${type}" ${listing && listing.item.type === type ? 'selected' : ''}>${type.charAt(0).toUpperCase() + type.slice(1).replace('-', ' ')}</option>`).join('')}
+                </select>
+                <input type="number" class="listing-price" min="0" step="1" value="${listing ? listing.price : 1}" aria-label="Price">
+                <input type="number" class="listing-stock" min="0" step="1" value="${listing && listing.stock !== null ? listing.stock : ''}" placeholder="∞" aria-label="Stock (blank for unlimited)">
+                <button type="button" class="button remove-btn" data-remove-listing="true" aria-label="Remove item">✕</button>
+            </div>
+        `;
+    }
+
+    showShopModal(shopId = null, onSaved = () => {}) {
+        const shop = shopId ? this.shops[shopId] : null;
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>${shop ? `Edit ${shop.name}` : 'New Shop'}</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
+            
+            <div class="modal-content">
+                <div class="form-group">
+                    <label for="shop-name">Name:</label>
+                    <input type="text" id="shop-name" value="${shop ? shop.name : ''}" placeholder="e.g., The Rusty Anvil">
+                </div>
+                
+                <div class="form-group">
+                    <label for="shop-buy-back">Buys back at (% of list price):</label>
+                    <input type="number" id="shop-buy-back" min="0" max="100" step="1" value="${shop ? shop.buyBackPercent : 50}">
+                </div>
+                
+                <div class="form-group">
+                    <label>Items (price in ${this.currency.name.toLowerCase()}, blank stock for unlimited):</label>
+                    <div id="shop-listings">
+                        ${(shop ? shop.items : []).map(listing => this.renderShopListingRow(listing)).join('')}
+                    </div>
+                    <button type="button" class="button" data-add-listing="true">+ Add Item</button>
+                </div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button primary-btn" data-confirm="save">Save</button>
+                <button class="button cancel-btn">Cancel</button>
+            </div>
+        `);
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target.dataset.addListing) {
+                modal.querySelector('#shop-listings').insertAdjacentHTML('beforeend', this.renderShopListingRow());
+            } else if (e.target.dataset.removeListing) {
+                e.target.closest('.shop-listing-row').remove();
+            } else if (e.target.dataset.confirm === 'save') {
+                if (await this.saveShop(this.readShopForm(modal, shop), shopId, shop)) {
+                    this.closeModal(modal);
+                    onSaved();
+                }
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    // Rows without a name are ignored. Listings keep any item details the form doesn't show.
+    readShopForm(modal, previous) {
+        const items = Array.from(modal.querySelectorAll('#shop-listings .shop-listing-row'))
+            .map(row => {
+                const name = row.querySelector('.listing-name').value.trim();
+                const stock = row.querySelector('.listing-stock').value.trim();
+                const existing = previous?.items.find(listing => listing.id === row.dataset.listingId);
+                return {
+                    id: existing ? existing.id : this.generateId('listing'),
+                    item: { ...(existing ? existing.item : {}), name, type: row.querySelector('.listing-type').value },
+                    price: parseInt(row.querySelector('.listing-price').value),
+                    stock: stock === '' ? null : parseInt(stock)
+                };
+            })
+            .filter(listing => listing.item.name);
+        
+        return {
+            name: modal.querySelector('#shop-name').value.trim(),
+            buyBackPercent: parseFloat(modal.querySelector('#shop-buy-back').value),
+            items
+        };
+    }
+
+    // ===== GOLD MANAGEMENT =====
+    // Clicking the highest filled circle empties it; any other circle fills up to it. A full row
+    // of coins or pouches turns into the next denomination.
+    setGoldAmount(type, amount, details = {}) {
+        const counts = this.getGoldDenominations();
+        counts[type] = amount <= counts[type] ? amount - 1 : amount;
+        
+        const label = this.getDenomination(type).label;
+        const overflow = this.setCarriedGold(this.getGoldValue(counts), {
+            source: details.source || 'manual',
+            reason: details.reason || `Set ${label} to ${counts[type]}`
+        });
+        
+        this.saveData(`Changed ${label}`);
+        this.updateEncumbranceDisplay(); // Coins can count toward encumbrance
+        this.switchEquipmentSection('gold'); // Refresh gold section
+        if (overflow) {
+            this.showMessage(this.describeGoldOverflow(overflow).trim());
+        }
+    }
+
+    adjustEquippedPouches(change) {
+        const newAmount = this.data.gold.equippedPouches + change;
+        if (newAmount >= 0 && newAmount <= this.currency.equippedPouchLimit && newAmount <= this.getGoldDenominations().pouches) {
+            this.data.gold.equippedPouches = newAmount;
+            this.saveData(`Equipped ${newAmount} ${this.getDenomination('pouches').label}`);
+            this.switchEquipmentSection('gold');
+        }
+    }
+
+    addBank() {
+        this.data.gold.banks.push({
+            id: this.generateId('bank'),
+            location: '',
+            amount: 0,
+            items: []
+        });
+        this.saveData('Added bank');
+        this.switchEquipmentSection('gold');
+    }
+
+    // Closing a bank hands back all of its gold, free of fees, and its stored items
+    async removeBank(index) {
+        const bank = this.data.gold.banks[index];
+        const name = bank.location || 'bank';
+        if (bank.amount > 0 || bank.items.length > 0) {
+            const confirmed = await this.showConfirm(`Close ${name}? Its ${this.formatGoldValue(bank.amount)} and ${bank.items.length} stored item${bank.items.length !== 1 ? 's' : ''} come back to you.`, {
+                title: 'Close bank',
+                confirmLabel: 'Close',
+                danger: true
+            });
+            if (!confirmed) return false;
+        }
+        // The data may have been replaced while the dialog was open
+        if (!this.data.gold.banks.includes(bank)) return false;
+        
+        if (bank.amount > 0) {
+            this.transferGold(bank.id, 'carried', bank.amount, `Closed ${name}`);
+        }
+        bank.items.forEach(item => this.addItemToInventory(item));
+        this.data.gold.banks.splice(this.data.gold.banks.indexOf(bank), 1);
+        // Only once the bank is gone, so gold past the carry limit can't overflow back into it
+        const overflow = this.applyGoldOverflow();
+        this.saveData(`Closed ${name}`);
+        this.updateEncumbranceDisplay();
+        this.switchEquipmentSection('gold');
+        if (overflow) {
+            this.showMessage(this.describeGoldOverflow(overflow).trim());
+        }
+        return true;
+    }
+
+    updateBankLocation(index, location) {
+        this.data.gold.banks[index].location = location;
+        this.saveData(`Renamed bank to ${location}`);
+    }
+
+    getBankFee(bank, value) {
+        return bank.feePercent ? Math.ceil(value * bank.feePercent / 100) : 0;
+    }
+
+    /**
+     * Move value between carried gold and a bank. The bank's fee comes out of the amount
+     * moved and is recorded as its own ledger entry. Returns the gold overflow, as
+     * setCarriedGold does.
+     */
+    moveBankGold(bank, direction, value) {
+        const name = bank.location || 'bank';
+        const fee = this.getBankFee(bank, value);
+        const chargeFee = () => {
+            if (fee === 0) return;
+            bank.amount -= fee;
+            this.recordGoldTransaction({ account: bank.id, amount: -fee, source: 'bank-fee', reason: `${name} fee (${bank.feePercent}%)` });
+        };
+        
+        if (direction === 'deposit') {
+            this.transferGold('carried', bank.id, value, `Deposit at ${name}`);
+            chargeFee();
+        } else {
+            chargeFee();
+            this.transferGold(bank.id, 'carried', value - fee, `Withdrawal from ${name}`);
+        }
+        this.clampEquippedPouches();
+        return this.applyGoldOverflow();
+    }
+
+    /**
+     * Deposit carried gold in a bank, or withdraw it. Refuses amounts the source account
+     * doesn't hold, or that the fee would swallow whole. Returns true when gold moved.
+     */
+    transferBankGold(bankId, direction, value) {
+        const bank = this.data.gold.banks.find(entry => entry.id === bankId);
+        if (!bank) return false;
+        const name = bank.location || 'bank';
+        const available = direction === 'deposit' ? this.data.gold.amount : bank.amount;
+        
+        if (!Number.isInteger(value) || value <= 0) {
+            this.showMessage('Enter an amount of 1 or more.');
+            return false;
+        }
+        if (value > available) {
+            this.showMessage(direction === 'deposit' ?
+                `You only carry ${this.formatGoldValue(available)}.` :
+                `${name} only holds ${this.formatGoldValue(available)}.`);
+            return false;
+        }
+        if (this.getBankFee(bank, value) >= value) {
+            this.showMessage(`${name}'s ${bank.feePercent}% fee would take all of ${this.formatGoldValue(value)}.`);
+            return false;
+        }
+        
+        const fee = this.getBankFee(bank, value);
+        const overflow = this.moveBankGold(bank, direction, value);
+        this.saveData(direction === 'deposit' ?
+            `Deposited ${this.formatGoldValue(value)} at ${name}` :
+            `Withdrew ${this.formatGoldValue(value)} from ${name}`);
+        this.updateEncumbranceDisplay();
+        this.switchEquipmentSection('gold');
+        if (fee > 0 || overflow) {
+            this.showMessage(`${fee > 0 ? `${name} charged a fee of ${this.formatGoldValue(fee)}.` : ''}${this.describeGoldOverflow(overflow)}`.trim());
+        }
+        return true;
+    }
+
+    depositGold(bankId, value) {
+        return this.transferBankGold(bankId, 'deposit', value);
+    }
+
+    withdrawGold(bankId, value) {
+        return this.transferBankGold(bankId, 'withdraw', value);
+    }
+
+    async promptBankTransfer(index, direction) {
+        const bank = this.data.gold.banks[index];
+        const available = direction === 'deposit' ? this.data.gold.amount : bank.amount;
+        const value = await this.showPrompt(`How much ${this.currency.name.toLowerCase()} do you want to ${direction}? (${this.formatGoldValue(available)} available${bank.feePercent ? `, ${bank.feePercent}% fee` : ''})`, String(available), {
+            title: `${direction === 'deposit' ? 'Deposit at' : 'Withdraw from'} ${bank.location || 'bank'}`,
+            inputType: 'number'
+        });
+        if (value === null) return false;
+        return this.transferBankGold(bank.id, direction, parseInt(value));
+    }
+
+    // Earliest time the bank may pay interest again
+    getNextInterestTime(bank) {
+        return Number.isFinite(bank.lastInterestPaid) ? bank.lastInterestPaid + this.options.interestPeriodHours * 60 * 60 * 1000 : 0;
+    }
+
+    // Interest is paid when the table says so (a new month, a long rest), not on a timer, but
+    // only once per interestPeriodHours so repeated clicks can't compound it.
+    // Returns the interest paid.
+    payBankInterest(bankId, now = Date.now()) {
+        const bank = this.data.gold.banks.find(entry => entry.id === bankId);
+        if (!bank || !bank.interestPercent) return 0;
+        const interest = Math.floor(bank.amount * bank.interestPercent / 100);
+        if (interest <= 0) return 0;
+        
+        const name = bank.location || 'bank';
+        if (now < this.getNextInterestTime(bank)) {
+            this.showMessage(`${name} has already paid interest. The next payment can be made after ${new Date(this.getNextInterestTime(bank)).toLocaleString()}.`);
+            return 0;
+        }
+        bank.lastInterestPaid = now;
+        bank.amount += interest;
+        this.recordGoldTransaction({ account: bank.id, amount: interest, source: 'interest', reason: `${name} interest (${bank.interestPercent}%)` });
+        this.saveData(`${name} paid ${this.formatGoldValue(interest)} interest`);
+        this.switchEquipmentSection('gold');
+        return interest;
+    }
+
+    showBankSettingsModal(index) {
+        const bank = this.data.gold.banks[index];
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>${bank.location || 'Bank'} Settings</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
+            
+            <div class="modal-content">
+                <div class="form-group">
+                    <label for="bank-fee">Fee on deposits and withdrawals (%):</label>
+                    <input type="number" id="bank-fee" min="0" max="100" step="any" value="${bank.feePercent || 0}">
+                </div>
+                
+                <div class="form-group">
+                    <label for="bank-interest">Interest paid when the GM calls for it, at most once every ${this.options.interestPeriodHours} hours (%):</label>
+                    <input type="number" id="bank-interest" min="0" step="any" value="${bank.interestPercent || 0}">
+                </div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button primary-btn" data-confirm="save">Save</button>
+                <button class="button cancel-btn">Cancel</button>
+            </div>
+        `);
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target.dataset.confirm === 'save') {
+                const feePercent = Math.min(100, Math.max(0, parseFloat(modal.querySelector('#bank-fee').value) || 0));
+                const interestPercent = Math.max(0, parseFloat(modal.querySelector('#bank-interest').value) || 0);
+                this.updateBankSettings(index, { feePercent, interestPercent });
+                this.closeModal(modal);
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    updateBankSettings(index, { feePercent = 0, interestPercent = 0 }) {
+        const bank = this.data.gold.banks[index];
+        bank.feePercent = feePercent || null;
+        bank.interestPercent = interestPercent || null;
+        this.saveData(`Changed ${bank.location || 'bank'} settings`);
+        this.switchEquipmentSection('gold');
+    }
+
+    // ===== BANK STORAGE =====
+    // Stored items leave the inventory, so they are unequipped and stop counting towards weight
+    storeItem(bankId, category, index) {
+        const bank = this.data.gold.banks.find(entry => entry.id === bankId);
+        const item = this.data.inventory[category]?.[index];
+        if (!bank || !item) return false;
+        if (!bank.location) {
+            this.showMessage('Give the bank a location before storing items in it.');
+            return false;
+        }
+        
+        this.autoUnequipItem(item);
+        this.data.inventory[category].splice(index, 1);
+        bank.items.push(item);
+        this.saveData(`Stored ${item.name} at ${bank.location}`);
+        this.updateEncumbranceDisplay();
+        this.switchEquipmentSection('gold');
+        return true;
+    }
+
+    retrieveItem(bankId, itemIndex) {
+        const bank = this.data.gold.banks.find(entry => entry.id === bankId);
+        const item = bank?.items[itemIndex];
+        if (!item) return false;
+        
+        bank.items.splice(itemIndex, 1);
+        this.addItemToInventory(item);
+        this.saveData(`Retrieved ${item.name} from ${bank.location || 'bank'}`);
+        this.updateEncumbranceDisplay();
+        this.switchEquipmentSection('gold');
+        return true;
+    }
+
+    showStoreItemModal(index) {
+        const bank = this.data.gold.banks[index];
+        const entries = Object.entries(this.data.inventory)
+            .flatMap(([category, items]) => items.map((item, itemIndex) => ({ category, itemIndex, item })));
+        
+        const modal = this.createModal(`
+            <div class="modal-header">
+                <h3>Store at ${bank.location}</h3>
+                <button type="button" class="modal-close-btn">×</button>
+            </div>
+            
+            <div class="modal-content">
+                <div class="loadout-list">
+                    ${entries.length > 0 ?
+                        entries.map(({ category, itemIndex, item }) => `
+                            <div class="loadout-entry">
+                                <span class="loadout-name">${item.name}${this.getItemQuantity(item) > 1 ? ` ×${this.getItemQuantity(item)}` : ''}</span>
+                                <span class="loadout-count">${category}</span>
+                                <button class="button" data-store-category="${category}" data-store-index="${itemIndex}">Store</button>
+                            </div>
+                        `).join('') :
+                        '<div class="empty-slot">Your inventory is empty</div>'
+                    }
+                </div>
+            </div>
+            
+            <div class="modal-buttons">
+                <button class="button cancel-btn">Close</button>
+            </div>
+        `);
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target.dataset.storeCategory) {
+                this.storeItem(bank.id, e.target.dataset.storeCategory, parseInt(e.target.dataset.storeIndex));
+                this.closeModal(modal);
+            } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn')) {
+                this.closeModal(modal);
+            }
+        });
+    }
+
+    // ===== GOLD LEDGER =====
+    // Values are counted in the smallest denomination: a pouch is worth a full set of coins
+    // and a chest a full set of pouches
+    getDenominationValue(id) {
+        const coinsPerPouch = this.getDenomination('coins').max;
+        const pouchesPerChest = this.getDenomination('pouches').max;
+        return { coins: 1, pouches: coinsPerPouch, chest: coinsPerPouch * pouchesPerChest }[id] || 0;
+    }
+
+    // What the Gold Tracker's ledger shows; not part of the saved data
+    resetLedgerFilters() {
+        this.ledgerFilters = { account: 'all', source: 'all', direction: 'all' };
+    }
+
+    // "carried" for what the character holds, or a bank id
+    getGoldAccounts() {
+        return [
+            { id: 'carried', name: 'Carried' },
+            ...this.data.gold.banks.map(bank => ({ id: bank.id, name: bank.location || 'Unnamed bank' }))
+        ];
+    }
+
+    getGoldAccountValue(account) {
+        const gold = this.data.gold;
+        if (account === 'carried') {
+            return gold.amount || 0;
+        }
+        const bank = gold.banks.find(entry => entry.id === account);
+        return bank ? bank.amount || 0 : 0;
+    }
+
+    formatGoldValue(value) {
+        return `${value} ${this.currency.name.toLowerCase()}`;
+    }
+
+    // ===== GOLD AMOUNTS =====
+    // Split an amount into chests, pouches and coins. Chests may go past the denomination's
+    // max when gold overflows into a second chest.
+    getGoldDenominations(value = this.data.gold.amount) {
+        const pouchValue = this.getDenominationValue('pouches');
+        const chestValue = this.getDenominationValue('chest');
+        const amount = Math.max(0, Math.floor(value || 0));
+        return {
+            chest: Math.floor(amount / chestValue),
+            pouches: Math.floor((amount % chestValue) / pouchValue),
+            coins: amount % pouchValue
+        };
+    }
+
+    getGoldValue(counts) {
+        return ['coins', 'pouches', 'chest'].reduce((total, id) => total + (counts[id] || 0) * this.getDenominationValue(id), 0);
+    }
+
+    // "1 Chest + 2 Pouches + 3 Coins", leaving out empty denominations
+    formatGold(value) {
+        const counts = this.getGoldDenominations(value);
+        const parts = ['chest', 'pouches', 'coins']
+            .filter(id => counts[id] > 0)
+            .map(id => `${counts[id]} ${this.getDenomination(id).label}`);
+        return parts.length > 0 ? parts.join(' + ') : `0 ${this.getDenomination('coins').label}`;
+    }
+
+    // The most a character carries before 'bank' overflow kicks in: full chests plus one short of
+    // another chest in pouches and coins
+    getCarryLimit() {
+        return (this.getDenomination('chest').max + 1) * this.getDenominationValue('chest') - 1;
+    }
+
+    /**
+     * Set carried gold and record the change in the ledger. Anything past the carry limit
+     * moves to a bank when the currency's overflow is 'bank'; otherwise it fills extra chests.
+     * Returns {amount, bank} when gold overflowed into a bank, or null.
+     */
+    setCarriedGold(value, { source = 'manual', reason = '', item = null } = {}) {
+        const valueBefore = this.data.gold.amount;
+        this.data.gold.amount = Math.max(0, Math.floor(value));
+        this.recordGoldChange('carried', valueBefore, source, reason, item);
+        
+        const overflow = this.applyGoldOverflow();
+        this.clampEquippedPouches();
+        return overflow;
+    }
+
+    // Carried gold went down: no more pouches equipped than are carried
+    clampEquippedPouches() {
+        const pouches = this.getGoldDenominations().pouches;
+        if (this.data.gold.equippedPouches > pouches) {
+            this.data.gold.equippedPouches = pouches;
+        }
+    }
+
+    addGold(value, details) {
+        return this.setCarriedGold(this.data.gold.amount + value, details);
+    }
+
+    // Returns false, changing nothing, when the character carries less than value
+    spendGold(value, details) {
+        if (value > this.data.gold.amount) return false;
+        this.setCarriedGold(this.data.gold.amount - value, details);
+        return true;
+    }
+
+    applyGoldOverflow() {
+        const excess = this.data.gold.amount - this.getCarryLimit();
+        if (this.currency.overflow !== 'bank' || excess <= 0) return null;
+        
+        let bank = this.data.gold.banks[0];
+        if (!bank) {
+            bank = { id: this.generateId('bank'), location: 'Bank', amount: 0, items: [] };
+            this.data.gold.banks.push(bank);
+        }
+        this.transferGold('carried', bank.id, excess, `Overflow to ${bank.location || 'bank'}`);
+        return { amount: excess, bank: bank.location || 'bank' };
+    }
+
+    // Move gold between accounts ('carried' or bank ids), recording both sides
+    transferGold(from, to, value, reason) {
+        [[from, -value], [to, value]].forEach(([account, change]) => {
+            if (account === 'carried') {
+                this.data.gold.amount += change;
+            } else {
+                this.data.gold.banks.find(bank => bank.id === account).amount += change;
+            }
+            this.recordGoldTransaction({ account, amount: change, source: 'bank-transfer', reason });
+        });
+    }
+
+    describeGoldOverflow(overflow) {
+        return overflow ? ` ${this.formatGoldValue(overflow.amount)} didn't fit and went to ${overflow.bank}.` : '';
+    }
+
+    /**
+     * Append an entry to the gold ledger. amount is signed: positive adds to the account.
+     * item ({id, name, quantity}) links purchases and sales to what changed hands.
+     * Entries are never edited or removed; mistakes are corrected with a new entry.
+     */
+    recordGoldTransaction({ account = 'carried', amount, source = 'manual', reason = '', item = null }) {
+        if (!Number.isFinite(amount) || amount === 0) return null;
+        if (!Array.isArray(this.data.gold.ledger)) {
+            this.data.gold.ledger = [];
+        }
+        
+        const entry = {
+            id: this.generateId('txn'),
+            time: Date.now(),
+            account,
+            direction: amount > 0 ? 'in' : 'out',
+            amount: Math.abs(amount),
+            balance: this.getGoldAccountValue(account),
+            source,
+            reason: reason || null,
+            item,
+            by: this.options.playerName
+        };
+        this.data.gold.ledger.push(entry);
+        return entry;
+    }
+
+    // Record whatever an account gained or lost since valueBefore
+    recordGoldChange(account, valueBefore, source, reason, item = null) {
+        return this.recordGoldTransaction({
+            account,
+            amount: this.getGoldAccountValue(account) - valueBefore,
+            source,
+            reason,
+            item
+        });
+    }
+
+    /**
+     * Ledger entries, oldest first. filters may set account, source and direction;
+     * 'all' or a missing filter matches everything.
+     */
+    getGoldLedger(filters = {}) {
+        const matches = (filter, value) => !filter || filter === 'all' || filter === value;
+        return (this.data.gold.ledger || []).filter(entry =>
+            matches(filters.account, entry.account) &&
+            matches(filters.source, entry.source) &&
+            matches(filters.direction, entry.direction)
+        );
+    }
+
+    getLedgerBalance(account) {
+        return this.getGoldLedger({ account }).reduce((total, entry) =>
+            total + (entry.direction === 'in' ? entry.amount : -entry.amount), 0);
+    }
+
+    /**
+     * Compare each account with the sum of its ledger entries. Returns
+     * [{account, expected, actual, message}]; with fix set, writes an adjustment entry for each
+     * difference (an opening balance for accounts with no entries yet).
+     */
+    reconcileGold(fix = false) {
+        const mismatches = [];
+        this.getGoldAccounts().forEach(account => {
+            const expected = this.getLedgerBalance(account.id);
+            const actual = this.getGoldAccountValue(account.id);
+            if (expected === actual) return;
+            
+            const hasEntries = this.getGoldLedger({ account: account.id }).length > 0;
+            mismatches.push({
+                account: account.id,
+                expected,
+                actual,
+                message: hasEntries ?
+                    `${account.name} holds ${this.formatGoldValue(actual)} but the ledger adds up to ${this.formatGoldValue(expected)}.` :
+                    `${account.name} holds ${this.formatGoldValue(actual)} with no ledger entries.`
+            });
+            if (fix) {
+                this.recordGoldTransaction({
+                    account: account.id,
+                    amount: actual - expected,
+                    source: 'adjustment',
+                    reason: hasEntries ? 'Reconciled with the balance' : 'Opening balance'
+                });
+            }
+        });
+        return mismatches;
+    }
+
+    // ===== ENCUMBRANCE DISPLAY =====
+    updateEncumbranceDisplay() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const encumbranceText = container.querySelector('.encumbrance-text');
+        const encumbranceBar = container.querySelector('.encumbrance-bar');
+        const encumbranceSources = container.querySelector('.encumbrance-sources');
+        const encumbranceTier = container.querySelector('.encumbrance-tier');
+        const encumbranceWarning = container.querySelector('.encumbrance-warning');
+        
+        if (encumbranceText && encumbranceBar) {
+            const encumbrance = this.calculateEncumbrance();
+            const maxCapacity = this.getMaxCapacity();
+            const tier = this.getEncumbranceTier(encumbrance);
+            const isOverEncumbered = tier.index > 0;
+            const hasItems = Object.values(this.data.inventory).some(categoryItems => categoryItems.length > 0);
+            
+            encumbranceText.textContent = `Encumbrance: ${encumbrance}/${maxCapacity} units`;
+            encumbranceBar.innerHTML = this.renderEncumbranceFill(tier);
+            if (encumbranceSources) {
+                encumbranceSources.innerHTML = this.renderWeightSources(tier);
+            }
+            
+            if (encumbranceTier) {
+                encumbranceTier.textContent = tier.label;
+                encumbranceTier.title = tier.effect || '';
+                encumbranceTier.style.background = tier.color || '';
+            }
+            
+            if (encumbranceWarning) {
+                encumbranceWarning.style.display = (hasItems && isOverEncumbered) ? 'block' : 'none';
+                encumbranceWarning.style.borderColor = tier.color || '';
+                encumbranceWarning.innerHTML = this.renderEncumbranceWarning(tier);
+            }
+
+            // Report the tier alongside the previous one so listeners can react to transitions
+            const previousTier = this.lastEncumbranceTier || null;
+            this.lastEncumbranceTier = tier.id;
+            this.options.onEncumbranceChanged({
+                current: encumbrance,
+                max: maxCapacity,
+                isOverEncumbered: isOverEncumbered,
+                hasItems: hasItems,
+                tier: tier,
+                previousTier: previousTier,
+                tierChanged: previousTier !== null && previousTier !== tier.id
+            });
+        }
+    }
+
+    // One segment per weight source, shaded in the tier's colour
+    renderEncumbranceFill(tier) {
+        const capacity = this.getMaxCapacity();
+        let remaining = 100;
+        return this.getWeightSources()
+            .filter(source => source.weight > 0)
+            .map((source, i) => {
+                const width = Math.min((source.weight / capacity) * 100, remaining);
+                remaining -= width;
+                return `<div class="encumbrance-fill" style="width: ${width}%; background: ${tier.color || ''}; opacity: ${this.getWeightSourceOpacity(i)}" title="${source.label}: ${source.weight} units"></div>`;
+            })
+            .join('');
+    }
+
+    // Only worth a legend when something besides packed items counts
+    renderWeightSources(tier) {
+        const sources = this.getWeightSources();
+        if (sources.length < 2) return '';
+        return sources
+            .filter(source => source.weight > 0)
+            .map((source, i) => `
+                <span class="weight-source">
+                    <span class="weight-source-swatch" style="background: ${tier.color || ''}; opacity: ${this.getWeightSourceOpacity(i)}"></span>
+                    ${source.label} ${source.weight}u
+                </span>
+            `)
+            .join('');
+    }
+
+    getWeightSourceOpacity(index) {
+        return [1, 0.75, 0.55, 0.4][index] ?? 0.3;
+    }
+
+    renderEncumbranceWarning(tier) {
+        return `⚠️ ${tier.label.toUpperCase()}${tier.effect ? ` - ${tier.effect}` : ''}`;
+    }
+
+    // ===== UTILITY METHODS =====
+    createModal(content) {
+        const modal = document.createElement('div');
+        modal.className = 'equipment-modal-overlay';
+        modal.innerHTML = `
+            <div class="equipment-modal">
+                ${content}
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        modal.style.display = 'flex';
+        
+        return modal;
+    }
+
+    closeModal(modal) {
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+    }
+
+    // ===== IN-PANEL DIALOGS =====
+    // Blocking alert/confirm/prompt behave badly inside the Owlbear popover iframe,
+    // so every question is asked with a modal and answered through a Promise.
+    openDialog(title, body, buttons, resolveValue) {
+        return new Promise(resolve => {
+            const modal = this.createModal(`
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <button type="button" class="modal-close-btn">×</button>
+                </div>
+                
+                <div class="modal-content">
+                    ${body}
+                </div>
+                
+                <div class="modal-buttons">
+                    ${buttons}
+                </div>
+            `);
+            modal.classList.add('equipment-dialog');
+            
+            const finish = (value) => {
+                this.closeModal(modal);
+                resolve(value);
+            };
+            
+            modal.addEventListener('click', (e) => {
+                if (e.target.dataset.dialogValue !== undefined) {
+                    finish(resolveValue(e.target.dataset.dialogValue, modal));
+                } else if (e.target.classList.contains('cancel-btn') || e.target.classList.contains('modal-close-btn') || e.target === modal) {
+                    finish(resolveValue(null, modal));
+                }
+            });
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    finish(resolveValue(null, modal));
+                } else if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                    e.preventDefault();
+                    finish(resolveValue('ok', modal));
+                }
+            });
+            
+            (modal.querySelector('input') || modal.querySelector('[data-dialog-value]'))?.focus();
+        });
+    }
+
+    showMessage(message, title = 'Equipment') {
+        return this.openDialog(
+            title,
+            `<p>${message}</p>`,
+            '<button class="button primary-btn" data-dialog-value="ok">OK</button>',
+            () => undefined
+        );
+    }
+
+    showConfirm(message, { title = 'Please confirm', confirmLabel = 'OK', cancelLabel = 'Cancel', danger = false } = {}) {
+        return this.openDialog(
+            title,
+            `<p>${message}</p>`,
+            `<button class="button ${danger ? 'danger-btn' : 'primary-btn'}" data-dialog-value="ok">${confirmLabel}</button>
+             <button class="button cancel-btn">${cancelLabel}</button>`,
+            (value) => value === 'ok'
+        );
+    }
+
+    showPrompt(message, defaultValue = '', { title = 'Equipment', inputType = 'text' } = {}) {
+        return this.openDialog(
+            title,
+            `<div class="form-group">
+                <label for="dialog-input">${message}</label>
+                <input type="${inputType}" id="dialog-input" value="${defaultValue}">
+            </div>`,
+            `<button class="button primary-btn" data-dialog-value="ok">OK</button>
+             <button class="button cancel-btn">Cancel</button>`,
+            (value, modal) => value === 'ok' ? modal.querySelector('#dialog-input').value : null
+        );
+    }
+
+    /**
+     * Ask the player to pick one of several options ({value, label, detail}); resolves to the value or null
+     */
+    showChoice(title, message, choices) {
+        return this.openDialog(
+            title,
+            `<p>${message}</p>
+             <div class="dialog-choices">
+                ${choices.map(choice => `
+                    <button class="button dialog-choice" data-dialog-value="${choice.value}">
+                        ${choice.label}${choice.detail ? ` <span class="choice-detail">(${choice.detail})</span>` : ''}
+                    </button>
+                `).join('')}
+             </div>`,
+            '<button class="button cancel-btn">Cancel</button>',
+            (value) => value
+        );
+    }
+
+    // Every change goes through here; the label names it in the undo history. Changes that
+    // reach outside the character, like shop trades, are saved with undoable set to false.
+    saveData(label = 'Edit', { undoable = true } = {}) {
+        this.recordHistory(label, undoable);
+        this.options.onDataChanged(this.data);
+    }
+
+    // ===== UNDO / REDO HISTORY =====
+    // Each entry keeps a JSON snapshot of the data before the change it is labelled with.
+    // Search and filter state is not part of the history, and neither is the gold ledger:
+    // it is append-only, so undo and redo add entries that reverse the gold they move.
+    getHistoryState() {
+        const { searchTerm, selectedCategory, selectedTags, ...state } = this.data;
+        return JSON.stringify({ ...state, gold: { ...state.gold, ledger: undefined } });
+    }
+
+    resetHistory() {
+        this.history = { undo: [], redo: [], current: this.getHistoryState() };
+    }
+
+    // Undo stops at an entry that isn't undoable: stepping back past it would restore the state before it
+    recordHistory(label, undoable = true) {
+        const state = this.getHistoryState();
+        if (state === this.history.current) return;
+        
+        this.history.undo.push({ label, state: this.history.current, time: Date.now(), undoable });
+        if (this.history.undo.length > this.options.historyLimit) {
+            this.history.undo.splice(0, this.history.undo.length - this.options.historyLimit);
+        }
+        this.history.redo = [];
+        this.history.current = state;
+    }
+
+    undo(steps = 1) {
+        return this.travelHistory('undo', 'redo', steps);
+    }
+
+    redo(steps = 1) {
+        return this.travelHistory('redo', 'undo', steps);
+    }
+
+    // Move entries from one stack to the other, then restore the state we end up at
+    travelHistory(from, to, steps) {
+        const labels = [];
+        while (labels.length < steps && this.history[from].length > 0 && this.history[from].at(-1).undoable !== false) {
+            const entry = this.history[from].pop();
+            this.history[to].push({ ...entry, state: this.history.current });
+            this.history.current = entry.state;
+            labels.push(entry.label);
+        }
+        if (labels.length === 0) return false;
+        
+        const { searchTerm, selectedCategory, selectedTags } = this.data;
+        const ledger = this.data.gold.ledger;
+        const accountsBefore = this.getGoldAccounts().map(account => account.id);
+        const valuesBefore = Object.fromEntries(accountsBefore.map(account => [account, this.getGoldAccountValue(account)]));
+        
+        this.data = { ...JSON.parse(this.history.current), searchTerm, selectedCategory, selectedTags };
+        this.data.gold.ledger = ledger;
+        const reason = `${from === 'undo' ? 'Undid' : 'Redid'} ${labels.length === 1 ? `"${labels[0]}"` : `${labels.length} changes`}`;
+        new Set([...accountsBefore, ...this.getGoldAccounts().map(account => account.id)]).forEach(account => {
+            this.recordGoldChange(account, valuesBefore[account] || 0, 'undo', reason);
+        });
+        this.options.onDataChanged(this.data);
+        
+        const bagSelect = document.querySelector(`#${this.containerId} #bag-select`);
+        if (bagSelect) {
+            bagSelect.value = this.data.selectedBag;
+        }
+        this.updateBagInfo();
+        this.updateEncumbranceDisplay();
+        
+        // Refresh current section
+        const activeSection = document.querySelector(`#${this.containerId} .equipment-nav-btn.active`)?.dataset.section;
+        if (activeSection) {
+            this.switchEquipmentSection(activeSection);
+        }
+        return true;
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field
+    attachHistoryShortcuts() {
+        if (this.historyKeyHandler) return;
+        
+        this.historyKeyHandler = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (!document.getElementById(this.containerId)) return;
+            
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        };
+        document.addEventListener('keydown', this.historyKeyHandler);
+    }
+
+    renderHistorySection() {
+        const { undo, redo } = this.history;
+        // Newest first, as far back as undo can reach
+        const reachable = undo.length - 1 - undo.map(entry => entry.undoable !== false).lastIndexOf(false);
+        const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        return `
+            <div class="history-section">
+                <div class="history-controls">
+                    <button class="button" data-action="undo" ${reachable === 0 ? 'disabled' : ''}>↶ Undo</button>
+                    <button class="button" data-action="redo" ${redo.length === 0 ? 'disabled' : ''}>↷ Redo</button>
+                    <span class="history-hint">Ctrl+Z / Ctrl+Shift+Z · last ${this.options.historyLimit} changes are kept</span>
+                </div>
+                <div class="history-list">
+                    ${redo.length === 0 && undo.length === 0 ? '<div class="empty-slot">No changes yet</div>' : ''}
+                    ${redo.map((entry, i) => `
+                        <div class="history-entry undone">
+                            <span class="history-label">${entry.label}</span>
+                            <span class="history-time">${formatTime(entry.time)}</span>
+                            <button class="button" data-action="redo" data-steps="${redo.length - i}">Redo to here</button>
+                        </div>
+                    `).join('')}
+                    ${undo.slice().reverse().map((entry, i) => `
+                        <div class="history-entry ${i === 0 ? 'latest' : ''}">
+                            <span class="history-label">${entry.label}</span>
+                            <span class="history-time">${formatTime(entry.time)}</span>
+                            ${entry.undoable === false ? '<span class="history-final">Can\'t be undone</span>' : ''}
+                            ${i < reachable ? `<button class="button" data-action="undo" data-steps="${i + 1}">${i === 0 ? 'Undo' : 'Undo to here'}</button>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // ===== DATA INTEGRITY =====
+    // Shared by validate() and repair(): collects {code, message} issues and, when fix is set, corrects them
+    checkIntegrity(fix) {
+        // What loading already corrected comes first; repairing only has to save it
+        const issues = Array.isArray(this.data.repairLog) ? this.data.repairLog.slice() : [];
+        if (fix) delete this.data.repairLog;
+        const report = (code, message) => issues.push({ code, message });
+        
+        // Top-level items first, so equipped ids keep pointing at the item they resolve to today
+        const topLevel = Object.values(this.data.inventory).flat();
+        const nested = this.getAllItems().filter(item => !topLevel.includes(item));
+        const seen = new Set();
+        [...topLevel, ...nested].forEach(item => {
+            const name = item.name || 'An item';
+            if (item.id === null || item.id === undefined || item.id === '') {
+                report('missing-id', `${name} has no id.`);
+                if (fix) item.id = this.generateItemId();
+            } else if (seen.has(item.id)) {
+                report('duplicate-id', `${name} shares id ${item.id} with another item.`);
+                if (fix) item.id = this.generateItemId();
+            }
+            seen.add(item.id);
+        });
+        
+        this.slotLayout.forEach(slot => {
+            const contents = this.data.equipped[slot.id];
+            if (Array.isArray(contents)) {
+                const count = this.getSlotCount(slot);
+                if (contents.length > count) {
+                    report('slot-overflow', `${slot.label} has ${contents.length} slots but only ${count} are allowed.`);
+                    if (fix) contents.splice(count);
+                }
+                contents.slice(0, count).forEach((id, index) => {
+                    if (id !== null && id !== undefined && !this.getEquippedItem(slot.id, index)) {
+                        report('missing-equipped-item', `${slot.label} ${index + 1} holds item ${id}, which is not in the inventory.`);
+                        if (fix) contents[index] = null;
+                    }
+                });
+            } else if (contents !== null && contents !== undefined && !this.getEquippedItem(slot.id)) {
+                report('missing-equipped-item', `${slot.label} holds item ${contents}, which is not in the inventory.`);
+                if (fix) this.data.equipped[slot.id] = null;
+            }
+        });
+        
+        if (!isPlainObject(this.data.gold)) {
+            report('gold-out-of-range', 'Gold data is missing or malformed.');
+            if (fix) this.data.gold = this.getDefaultData().gold;
+        }
+        const gold = this.data.gold || {};
+        const clamp = (value, max) => Number.isFinite(value) ? Math.min(max, Math.max(0, Math.floor(value))) : 0;
+        if (!Number.isInteger(gold.amount) || gold.amount < 0) {
+            report('gold-out-of-range', `Carried ${this.currency.name.toLowerCase()} is ${gold.amount}; it must be a whole number of at least 0.`);
+            if (fix) gold.amount = clamp(gold.amount, Infinity);
+        }
+        
+        const pouchLimit = Math.min(this.currency.equippedPouchLimit, this.getGoldDenominations(clamp(gold.amount, Infinity)).pouches);
+        if (!Number.isInteger(gold.equippedPouches) || gold.equippedPouches < 0 || gold.equippedPouches > pouchLimit) {
+            report('gold-out-of-range', `Equipped ${this.getDenomination('pouches').label} is ${gold.equippedPouches}; it must be from 0 to ${pouchLimit}.`);
+            if (fix) gold.equippedPouches = clamp(gold.equippedPouches, pouchLimit);
+        }
+        
+        if (!Array.isArray(gold.banks)) {
+            report('gold-out-of-range', 'Bank list is missing or malformed.');
+            if (fix) gold.banks = [];
+        } else {
+            gold.banks.forEach(bank => {
+                if (!Number.isInteger(bank.amount) || bank.amount < 0) {
+                    report('gold-out-of-range', `${bank.location || 'A bank'} holds ${bank.amount}; it must be a whole number of at least 0.`);
+                    if (fix) bank.amount = clamp(bank.amount, Infinity);
+                }
+                if (!bank.id) {
+                    report('missing-id', `${bank.location || 'A bank'} has no id.`);
+                    if (fix) bank.id = this.generateId('bank');
+                }
+                if (!Array.isArray(bank.items)) {
+                    report('gold-out-of-range', `${bank.location || 'A bank'} has a malformed list of stored items.`);
+                    if (fix) bank.items = [];
+                }
+            });
+        }
+        
+        // Runs last so the ledger is compared with the corrected balances
+        if (!Array.isArray(gold.ledger)) {
+            report('ledger-mismatch', 'The gold ledger is missing.');
+            if (fix) gold.ledger = [];
+        }
+        if (Array.isArray(gold.banks) && gold.banks.every(bank => bank.id)) {
+            this.reconcileGold(fix).forEach(mismatch => report('ledger-mismatch', mismatch.message));
+        }
+        
+        return issues;
+    }
+
+    // ===== PUBLIC API =====
+    
+    /**
+     * Get current equipment data
+     */
+    getData() {
+        return { ...this.data };
+    }
+
+    /**
+     * Set equipment data (replaces current data)
+     */
+    setData(newData) {
+        this.loadData(newData);
+        this.resetHistory();
+        this.resetLedgerFilters();
+        // A different character is not a tier transition
+        this.lastEncumbranceTier = null;
+        this.render();
+        this.updateEncumbranceDisplay();
+    }
+
+    /**
+     * Update specific properties of equipment data
+     */
+    updateData(updates) {
+        this.data = { ...this.data, ...updates };
+        this.applyRulesPackToData();
+        this.resetHistory();
+        this.render();
+        this.updateEncumbranceDisplay();
+    }
+
+    /**
+     * Get equipped items, resolved from the ids stored in each slot
+     */
+    getEquippedItems() {
+        const equipped = {};
+        Object.keys(this.data.equipped).forEach(slotId => {
+            equipped[slotId] = this.getSlotContents(slotId);
+        });
+        return equipped;
+    }
+
+    /**
+     * Get saved loadouts
+     */
+    getLoadouts() {
+        return (this.data.loadouts || []).slice();
+    }
+
+    /**
+     * Check the data without changing it. Returns a list of {code, message} issues
+     * (duplicate or missing item ids, equipped items missing from the inventory,
+     * slots longer than allowed, gold out of range, balances that differ from the gold
+     * ledger); an empty list means it is sound. Equipped items that loading had to
+     * unequip are listed first, until repair() saves the corrected data.
+     */
+    validate() {
+        return this.checkIntegrity(false);
+    }
+
+    /**
+     * Fix everything validate() reports and save the result. Returns the issues that were repaired.
+     * Repairs are not an undo step, and the history starts over because its snapshots still
+     * hold the problems.
+     */
+    repair() {
+        const issues = this.checkIntegrity(true);
+        if (issues.length > 0) {
+            this.resetHistory();
+            this.options.onDataChanged(this.data);
+            this.render();
+            this.updateEncumbranceDisplay();
+        }
+        return issues;
+    }
+
+    /**
+     * Get inventory
+     */
+    getInventory() {
+        return { ...this.data.inventory };
+    }
+
+    /**
+     * Get encumbrance information
+     */
+    getEncumbranceInfo() {
+        return {
+            current: this.calculateEncumbrance(),
+            max: this.getMaxCapacity(),
+            isOverEncumbered: this.isEncumbered(),
+            tier: this.getEncumbranceTier(),
+            breakdown: this.getEncumbranceBreakdown(),
+            sources: this.getWeightSources()
+        };
+    }
+
+    /**
+     * Destroy the equipment system
+     */
+    destroy() {
+        const container = document.getElementById(this.containerId);
+        if (container) {
+            container.innerHTML = '';
+        }
+        if (this.historyKeyHandler) {
+            document.removeEventListener('keydown', this.historyKeyHandler);
+            this.historyKeyHandler = null;
+        }
+    }
+
+    // ===== STYLES =====
+    setupStyles() {
+        if (document.getElementById('equipment-system-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'equipment-system-styles';
+        style.textContent = `
+            /* Equipment System Styles */
+            .equipment-container {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+                max-width: 1200px;
+                margin: 0 auto;
+                padding: 20px;
+                background: #ffffff;
+                border-radius: 8px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+
+            .equipment-header {
+                margin-bottom: 20px;
+                padding-bottom: 20px;
+                border-bottom: 2px solid #e9ecef;
+            }
+
+            .equipment-header h2 {
+                margin: 0 0 15px 0;
+                color: #343a40;
+                font-size: 24px;
+                font-weight: 600;
+            }
+
+            .encumbrance-warning {
+                background: #fff3cd;
+                border: 1px solid #ffeaa7;
+                color: #856404;
+                padding: 10px;
+                border-radius: 4px;
+                margin-bottom: 15px;
+                font-weight: 500;
+            }
+
+            .encumbrance-display {
+                margin-bottom: 15px;
+            }
+
+            .encumbrance-text {
+                display: block;
+                margin-bottom: 5px;
+                font-weight: 500;
+                color: #495057;
+            }
+
+            .encumbrance-tier {
+                display: inline-block;
+                margin-bottom: 5px;
+                padding: 2px 8px;
+                border-radius: 10px;
+                color: white;
+                font-size: 12px;
+                font-weight: 600;
+            }
+
+            .encumbrance-bar {
+                display: flex;
+                width: 100%;
+                height: 8px;
+                background: #e9ecef;
+                border-radius: 4px;
+                overflow: hidden;
+            }
+
+            .encumbrance-fill {
+                height: 100%;
+                background: linear-gradient(90deg, #28a745 0%, #ffc107 70%, #dc3545 90%);
+                transition: width 0.3s ease;
+            }
+
+            .encumbrance-sources {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                margin-top: 5px;
+                font-size: 12px;
+                color: #6c757d;
+            }
+
+            .weight-source {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            .weight-source-swatch {
+                width: 10px;
+                height: 10px;
+                border-radius: 2px;
+            }
+
+            .bag-selector {
+                margin-bottom: 20px;
+                padding: 15px;
+                background: #f8f9fa;
+                border-radius: 6px;
+            }
+
+            .bag-selector label {
+                display: block;
+                margin-bottom: 5px;
+                font-weight: 500;
+                color: #495057;
+            }
+
+            .bag-selector select {
+                width: 100%;
+                max-width: 300px;
+                padding: 8px 12px;
+                border: 1px solid #ced4da;
+                border-radius: 4px;
+                background: white;
+                font-size: 14px;
+            }
+
+            .bag-select-row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .bag-bonus-fields {
+                display: flex;
+                gap: 8px;
+            }
+
+            .bag-bonus-fields input {
+                width: 70px;
+            }
+
+            .modifier-row {
+                margin-bottom: 6px;
+            }
+
+            .active-modifiers {
+                margin-bottom: 20px;
+            }
+
+            .modifier-totals {
+                margin-bottom: 8px;
+                font-weight: 600;
+                color: #343a40;
+            }
+
+            .modifier-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+                display: grid;
+                gap: 6px;
+            }
+
+            .modifier-entry {
+                display: flex;
+                justify-content: space-between;
+                gap: 8px;
+                padding: 6px 10px;
+                background: #f8f9fa;
+                border-radius: 4px;
+            }
+
+            .modifier-source {
+                color: #6c757d;
+                font-size: 12px;
+            }
+
+            .modifier-tag {
+                background: #e7f1ff;
+            }
+
+            .bag-info {
+                margin-top: 10px;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 15px;
+            }
+
+            .bag-info span {
+                background: white;
+                padding: 5px 10px;
+                border-radius: 4px;
+                font-size: 12px;
+                border: 1px solid #dee2e6;
+            }
+
+            .bag-bonus {
+                color: #28a745 !important;
+                font-weight: 500;
+            }
+
+            .equipment-nav {
+                display: flex;
+                gap: 10px;
+                margin-bottom: 20px;
+            }
+
+            .equipment-nav-btn {
+                padding: 10px 20px;
+                border: 1px solid #dee2e6;
+                background: white;
+                color: #495057;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 14px;
+                font-weight: 500;
+                transition: all 0.2s ease;
+            }
+
+            .equipment-nav-btn:hover {
+                background: #f8f9fa;
+                border-color: #adb5bd;
+            }
+
+            .equipment-nav-btn.active {
+                background: #007bff;
+                color: white;
+                border-color: #007bff;
+            }
+
+            .overview-section {
+                display: grid;
+                gap: 30px;
+            }
+
+            .equipped-items-container h3 {
+                margin: 0 0 20px 0;
+                color: #343a40;
+                font-size: 20px;
+                font-weight: 600;
+            }
+
+            .equipped-grid {
+                display: grid;
+                gap: 25px;
+                grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+            }
+
+            .equipment-category h4 {
+                margin: 0 0 15px 0;
+                color: #495057;
+                font-size: 16px;
+                font-weight: 600;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .equipment-slots {
+                display: grid;
+                gap: 10px;
+            }
+
+            .equipment-slot {
+                background: white;
+                border: 2px solid #e9ecef;
+                border-radius: 6px;
+                padding: 12px;
+                transition: all 0.2s ease;
+                min-height: 60px;
+                display: flex;
+                flex-direction: column;
+            }
+
+            .equipment-slot.filled {
+                border-color: #28a745;
+                background: #f8fff9;
+            }
+
+            .equipment-slot.empty {
+                border-style: dashed;
+                color: #6c757d;
+            }
+
+            .slot-label {
+                font-size: 12px;
+                font-weight: 500;
+                color: #6c757d;
+                margin-bottom: 5px;
+            }
+
+            .slot-content {
+                flex: 1;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .equipped-item-name {
+                font-weight: 500;
+                color: #343a40;
             }
 
-            // Trigger callback
-            this.options.onEncumbranceChanged({
-                current: encumbrance,
-                max: maxCapacity,
-                isOverEncumbered: isOverEncumbered,
-                hasItems: hasItems
-            });
-        }
-    }
+            .empty-slot {
+                font-style: italic;
+                color: #adb5bd;
+            }
 
-    // ===== UTILITY METHODS =====
-    createModal(content) {
-        const modal = document.createElement('div');
-        modal.className = 'equipment-modal-overlay';
-        modal.innerHTML = `
-            <div class="equipment-modal">
-                ${content}
-            </div>
-        `;
-        
-        document.body.appendChild(modal);
-        modal.style.display = 'flex';
-        
-        return modal;
-    }
+            .unequip-btn {
+                background: #dc3545;
+                color: white;
+                border: none;
+                border-radius: 50%;
+                width: 24px;
+                height: 24px;
+                font-size: 14px;
+                cursor: pointer;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: background 0.2s ease;
+            }
 
-    closeModal(modal) {
-        if (modal && modal.parentNode) {
-            modal.parentNode.removeChild(modal);
-        }
-    }
+            .unequip-btn:hover {
+                background: #c82333;
+            }
 
-    saveData() {
-        this.options.onDataChanged(this.data);
-    }
+            .multi-slots {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(80px, 1fr));
+                gap: 8px;
+            }
 
-    // ===== PUBLIC API =====
-    
-    /**
-     * Get current equipment data
-     */
-    getData() {
-        return { ...this.data };
-    }
+            .multi-slot {
+                min-height: 50px;
+            }
 
-    /**
-     * Set equipment data (replaces current data)
-     */
-    setData(newData) {
-        this.data = { ...this.getDefaultData(), ...newData };
-        this.render();
-        this.updateEncumbranceDisplay();
-    }
+            .loadouts-section h3 {
+                margin: 0 0 10px 0;
+                color: #343a40;
+                font-size: 18px;
+                font-weight: 600;
+            }
 
-    /**
-     * Update specific properties of equipment data
-     */
-    updateData(updates) {
-        this.data = { ...this.data, ...updates };
-        this.render();
-        this.updateEncumbranceDisplay();
-    }
+            .loadout-list {
+                display: grid;
+                gap: 8px;
+                margin-bottom: 10px;
+            }
 
-    /**
-     * Get equipped items
-     */
-    getEquippedItems() {
-        return { ...this.data.equipped };
-    }
+            .loadout-entry {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 10px;
+                background: #f8f9fa;
+                border-radius: 4px;
+            }
 
-    /**
-     * Get inventory
-     */
-    getInventory() {
-        return { ...this.data.inventory };
-    }
+            .loadout-name {
+                flex: 1;
+                font-weight: 500;
+            }
 
-    /**
-     * Get encumbrance information
-     */
-    getEncumbranceInfo() {
-        return {
-            current: this.calculateEncumbrance(),
-            max: this.getMaxCapacity(),
-            isOverEncumbered: this.isEncumbered()
-        };
-    }
+            .loadout-count {
+                color: #6c757d;
+                font-size: 12px;
+            }
 
-    /**
-     * Destroy the equipment system
-     */
-    destroy() {
-        const container = document.getElementById(this.containerId);
-        if (container) {
-            container.innerHTML = '';
-        }
-    }
+            .loadout-entry .button {
+                padding: 4px 10px;
+                font-size: 12px;
+            }
 
-    // ===== STYLES =====
-    setupStyles() {
-        if (document.getElementById('equipment-system-styles')) return;
+            .history-controls {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 15px;
+            }
 
-        const style = document.createElement('style');
-        style.id = 'equipment-system-styles';
-        style.textContent = `
-            /* Equipment System Styles */
-            .equipment-container {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-                max-width: 1200px;
-                margin: 0 auto;
-                padding: 20px;
-                background: #ffffff;
-                border-radius: 8px;
-                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            .history-hint {
+                color: #6c757d;
+                font-size: 12px;
             }
 
-            .equipment-header {
-                margin-bottom: 20px;
-                padding-bottom: 20px;
-                border-bottom: 2px solid #e9ecef;
+            .history-list {
+                display: grid;
+                gap: 6px;
             }
 
-            .equipment-header h2 {
-                margin: 0 0 15px 0;
-                color: #343a40;
-                font-size: 24px;
-                font-weight: 600;
+            .gold-change-details,
+            .ledger-filters {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-bottom: 12px;
             }
 
-            .encumbrance-warning {
+            .gold-change-details input {
+                flex: 1;
+                padding: 6px 10px;
+                border: 1px solid #ced4da;
+                border-radius: 4px;
+            }
+
+            .gold-ledger {
+                margin-top: 20px;
+            }
+
+            .ledger-mismatch {
                 background: #fff3cd;
                 border: 1px solid #ffeaa7;
                 color: #856404;
                 padding: 10px;
                 border-radius: 4px;
-                margin-bottom: 15px;
-                font-weight: 500;
+                margin-bottom: 12px;
             }
 
-            .encumbrance-display {
-                margin-bottom: 15px;
+            .ledger-balanced {
+                color: #28a745;
+                font-size: 12px;
+                margin-bottom: 12px;
             }
 
-            .encumbrance-text {
-                display: block;
-                margin-bottom: 5px;
-                font-weight: 500;
-                color: #495057;
+            .ledger-amount {
+                min-width: 80px;
+                font-weight: 600;
             }
 
-            .encumbrance-bar {
-                width: 100%;
-                height: 8px;
-                background: #e9ecef;
-                border-radius: 4px;
-                overflow: hidden;
+            .ledger-entry.in .ledger-amount {
+                color: #28a745;
             }
 
-            .encumbrance-fill {
-                height: 100%;
-                background: linear-gradient(90deg, #28a745 0%, #ffc107 70%, #dc3545 90%);
-                transition: width 0.3s ease;
+            .ledger-entry.out .ledger-amount {
+                color: #dc3545;
             }
 
-            .bag-selector {
+            .shops-header,
+            .shop-picker {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
+
+            .shop-carried {
+                font-size: 12px;
+                color: #6c757d;
+            }
+
+            .shop-listings {
+                display: grid;
+                gap: 6px;
                 margin-bottom: 20px;
-                padding: 15px;
+            }
+
+            .shop-listing {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 10px;
                 background: #f8f9fa;
-                border-radius: 6px;
+                border-radius: 4px;
             }
 
-            .bag-selector label {
-                display: block;
-                margin-bottom: 5px;
-                font-weight: 500;
-                color: #495057;
+            .shop-listing.sold-out {
+                opacity: 0.55;
             }
 
-            .bag-selector select {
-                width: 100%;
-                max-width: 300px;
-                padding: 8px 12px;
-                border: 1px solid #ced4da;
-                border-radius: 4px;
-                background: white;
-                font-size: 14px;
+            .shop-item-name {
+                flex: 1;
+                font-weight: 600;
             }
 
-            .bag-info {
-                margin-top: 10px;
+            .shop-item-type,
+            .shop-item-stock {
+                font-size: 12px;
+                color: #6c757d;
+            }
+
+            .shop-item-price {
+                min-width: 70px;
+                text-align: right;
+            }
+
+            .shop-listing-row {
                 display: flex;
-                flex-wrap: wrap;
-                gap: 15px;
+                gap: 6px;
+                margin-bottom: 6px;
             }
 
-            .bag-info span {
-                background: white;
-                padding: 5px 10px;
+            .shop-listing-row .listing-price,
+            .shop-listing-row .listing-stock {
+                width: 70px;
+            }
+
+            .history-entry {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 10px;
+                background: #f8f9fa;
                 border-radius: 4px;
-                font-size: 12px;
-                border: 1px solid #dee2e6;
             }
 
-            .bag-bonus {
-                color: #28a745 !important;
-                font-weight: 500;
+            .history-entry.latest {
+                border-left: 3px solid #007bff;
             }
 
-            .equipment-nav {
-                display: flex;
-                gap: 10px;
-                margin-bottom: 20px;
+            .history-final {
+                font-size: 11px;
+                color: #6c757d;
             }
 
-            .equipment-nav-btn {
-                padding: 10px 20px;
-                border: 1px solid #dee2e6;
-                background: white;
-                color: #495057;
-                border-radius: 6px;
-                cursor: pointer;
-                font-size: 14px;
+            .history-entry.undone {
+                opacity: 0.55;
+            }
+
+            .history-label {
+                flex: 1;
                 font-weight: 500;
-                transition: all 0.2s ease;
             }
 
-            .equipment-nav-btn:hover {
-                background: #f8f9fa;
-                border-color: #adb5bd;
+            .history-time {
+                color: #6c757d;
+                font-size: 12px;
             }
 
-            .equipment-nav-btn.active {
-                background: #007bff;
-                color: white;
-                border-color: #007bff;
+            .history-entry .button {
+                padding: 4px 10px;
+                font-size: 12px;
             }
 
-            .overview-section {
-                display: grid;
-                gap: 30px;
+            .equipment-slot[data-drag-slot], .tray-item {
+                cursor: grab;
+                touch-action: none;
             }
 
-            .equipped-items-container h3 {
-                margin: 0 0 20px 0;
-                color: #343a40;
-                font-size: 20px;
-                font-weight: 600;
+            /* Cards scroll normally on touch; only the handle starts a touch drag */
+            .item-card[data-drag-item] {
+                cursor: grab;
             }
 
-            .equipped-grid {
-                display: grid;
-                gap: 25px;
-                grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+            .drag-handle {
+                touch-action: none;
+                color: #adb5bd;
+                padding: 0 4px;
             }
 
-            .equipment-category h4 {
-                margin: 0 0 15px 0;
-                color: #495057;
+            .inventory-equip-slots {
+                margin-bottom: 20px;
+            }
+
+            .inventory-equip-slots h4 {
+                margin: 0 0 5px 0;
+                color: #343a40;
                 font-size: 16px;
                 font-weight: 600;
-                display: flex;
-                align-items: center;
-                gap: 8px;
             }
 
-            .equipment-slots {
-                display: grid;
-                gap: 10px;
+            .equipment-slot:focus, .tray-item:focus, .item-card:focus, .unequipped-tray:focus {
+                outline: 2px solid #007bff;
+                outline-offset: 2px;
             }
 
-            .equipment-slot {
-                background: white;
-                border: 2px solid #e9ecef;
-                border-radius: 6px;
-                padding: 12px;
-                transition: all 0.2s ease;
-                min-height: 60px;
-                display: flex;
-                flex-direction: column;
+            .equipment-slot.drop-valid, .unequipped-tray.drop-valid {
+                border-color: #007bff;
+                background: #e7f1ff;
             }
 
-            .equipment-slot.filled {
-                border-color: #28a745;
-                background: #f8fff9;
+            .equipment-slot.drop-invalid {
+                border-color: #dc3545;
             }
 
-            .equipment-slot.empty {
-                border-style: dashed;
-                color: #6c757d;
+            .dragging, .picked-up {
+                opacity: 0.5;
             }
 
-            .slot-label {
-                font-size: 12px;
-                font-weight: 500;
-                color: #6c757d;
-                margin-bottom: 5px;
+            .drag-ghost {
+                position: fixed;
+                pointer-events: none;
+                z-index: 10001;
+                transform: translate(-50%, -50%);
+                opacity: 0.85;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
             }
 
-            .slot-content {
-                flex: 1;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
+            .unequipped-tray {
+                border: 2px dashed #dee2e6;
+                border-radius: 6px;
+                padding: 15px;
             }
 
-            .equipped-item-name {
-                font-weight: 500;
+            .unequipped-tray h3 {
+                margin: 0 0 5px 0;
                 color: #343a40;
+                font-size: 18px;
+                font-weight: 600;
             }
 
-            .empty-slot {
-                font-style: italic;
-                color: #adb5bd;
+            .drag-hint {
+                margin: 0 0 10px 0;
+                font-size: 12px;
+                color: #6c757d;
             }
 
-            .unequip-btn {
-                background: #dc3545;
-                color: white;
-                border: none;
-                border-radius: 50%;
-                width: 24px;
-                height: 24px;
-                font-size: 14px;
-                cursor: pointer;
+            .tray-items {
                 display: flex;
-                align-items: center;
-                justify-content: center;
-                transition: background 0.2s ease;
+                flex-wrap: wrap;
+                gap: 8px;
             }
 
-            .unequip-btn:hover {
-                background: #c82333;
+            .tray-item {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 6px 10px;
+                background: white;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                user-select: none;
             }
 
-            .jewelry-slots, .belt-slots {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(80px, 1fr));
-                gap: 8px;
+            .tray-item .item-type {
+                margin: 0;
             }
 
-            .jewelry-slot, .belt-slot {
-                min-height: 50px;
+            .drag-announcer {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
             }
 
             .gold-summary {
@@ -1854,6 +6326,89 @@ class EquipmentSystem {
                 margin-left: 8px;
             }
 
+            .item-quantity {
+                background: #fff3cd;
+                color: #856404;
+                padding: 2px 6px;
+                border-radius: 3px;
+                font-size: 11px;
+                font-weight: 600;
+                margin-left: 8px;
+            }
+
+            .item-charges {
+                background: #e7f1ff;
+                color: #004085;
+                padding: 2px 6px;
+                border-radius: 3px;
+                font-size: 11px;
+                font-weight: 600;
+                margin-left: 8px;
+            }
+
+            .usage-history {
+                margin-top: 8px;
+                font-size: 12px;
+            }
+
+            .usage-history summary {
+                cursor: pointer;
+                color: #6c757d;
+            }
+
+            .usage-history ul {
+                margin: 6px 0 0;
+                padding-left: 16px;
+            }
+
+            .usage-history li {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+            }
+
+            .container-contents {
+                margin-bottom: 10px;
+                padding: 8px;
+                background: #f8f9fa;
+                border: 1px dashed #ced4da;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .container-summary {
+                margin-bottom: 6px;
+                color: #495057;
+                font-weight: 500;
+            }
+
+            .container-tree {
+                list-style: none;
+                margin: 0;
+                padding-left: 12px;
+                border-left: 2px solid #dee2e6;
+            }
+
+            .contained-item-row {
+                display: flex;
+                align-items: center;
+                gap: 5px;
+                padding: 3px 0;
+            }
+
+            .contained-item-row .item-name {
+                font-size: 12px;
+            }
+
+            .contained-item-row button {
+                padding: 2px 6px;
+                border: 1px solid #ced4da;
+                border-radius: 3px;
+                background: white;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
             .equipped-indicator {
                 color: #28a745;
                 font-weight: 600;
@@ -1921,6 +6476,25 @@ class EquipmentSystem {
                 border-color: #6c757d !important;
             }
 
+            .use-btn:hover, .split-btn:hover, .stack-btn:hover {
+                background: #d4edda;
+                border-color: #c3e6cb;
+                color: #155724;
+            }
+
+            .handedness-tag {
+                margin-left: 6px;
+            }
+
+            .equipment-slot .use-btn, .grip-btn {
+                padding: 2px 6px;
+                border: 1px solid #ced4da;
+                border-radius: 3px;
+                background: white;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
             .edit-btn:hover {
                 background: #e2e6ea;
             }
@@ -2032,14 +6606,42 @@ class EquipmentSystem {
             }
 
             .bank-entry {
-                display: flex;
-                gap: 10px;
-                align-items: center;
                 padding: 10px;
                 background: #f8f9fa;
                 border-radius: 4px;
             }
 
+            .bank-row {
+                display: flex;
+                gap: 10px;
+                align-items: center;
+            }
+
+            .bank-terms {
+                margin-top: 6px;
+                font-size: 12px;
+                color: #6c757d;
+            }
+
+            .bank-items {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 6px;
+                margin-top: 8px;
+                font-size: 12px;
+            }
+
+            .bank-item {
+                display: inline-flex;
+                align-items: center;
+                gap: 6px;
+                padding: 2px 6px;
+                background: white;
+                border: 1px solid #e9ecef;
+                border-radius: 3px;
+            }
+
             .bank-entry input {
                 flex: 1;
                 padding: 6px 10px;
@@ -2067,6 +6669,27 @@ class EquipmentSystem {
                 transition: all 0.2s ease;
             }
 
+            .bank-chests button.bank-action,
+            .bank-items button.bank-action {
+                width: auto;
+                padding: 0 8px;
+            }
+
+            .bank-items button.bank-action {
+                height: 22px;
+                border: 1px solid #ced4da;
+                background: white;
+                color: #495057;
+                border-radius: 3px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            .bank-action:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+
             .remove-btn {
                 background: #dc3545 !important;
                 color: white !important;
@@ -2251,6 +6874,31 @@ class EquipmentSystem {
                 background: #f8f9fa;
             }
 
+            .danger-btn {
+                background: #dc3545 !important;
+                color: white !important;
+                border-color: #dc3545 !important;
+            }
+
+            .danger-btn:hover {
+                background: #c82333 !important;
+            }
+
+            .dialog-choices {
+                display: grid;
+                gap: 8px;
+            }
+
+            .dialog-choice {
+                text-align: left;
+            }
+
+            .dialog-choice .choice-detail {
+                color: #6c757d;
+                font-weight: 400;
+                pointer-events: none;
+            }
+
             /* Responsive Design */
             @media (max-width: 768px) {
                 .equipment-container {
@@ -2293,6 +6941,8 @@ class EquipmentSystem {
     }
 }
 
+EquipmentSystem.registeredRulesPacks = { ...BUILT_IN_RULES_PACKS };
+
 // Global function for backward compatibility
 function initStandaloneEquipmentSystem(containerId, options = {}) {
     return new EquipmentSystem(containerId, options);
@@ -2301,12 +6951,15 @@ function initStandaloneEquipmentSystem(containerId, options = {}) {
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = EquipmentSystem;
+    module.exports.RulesPackError = RulesPackError;
+    module.exports.loadRulesPack = loadRulesPack;
+    module.exports.BUILT_IN_RULES_PACKS = BUILT_IN_RULES_PACKS;
+    module.exports.rollDice = rollDice;
 }
 
 // Global assignment for direct script inclusion
 if (typeof window !== 'undefined') {
     window.EquipmentSystem = EquipmentSystem;
     window.initStandaloneEquipmentSystem = initStandaloneEquipmentSystem;
+    window.RulesPackError = RulesPackError;
 }
-EOF
-)
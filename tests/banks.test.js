@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EquipmentSystem, createSystem } = require('./helpers/dom.js');
+
+function createBankSystem(currency, gold) {
+    const pack = JSON.parse(JSON.stringify(EquipmentSystem.BUILT_IN_RULES_PACKS.daggerheart));
+    pack.id = 'bank-test';
+    pack.currency = { ...pack.currency, ...currency };
+    const system = createSystem({
+        rulesPack: pack,
+        initialData: { gold: { equippedPouches: 0, ledger: [], ...gold } }
+    });
+    system.repair();
+    return system;
+}
+
+test('closing a bank keeps gold that overflows the carry limit', async () => {
+    const system = createBankSystem({ overflow: 'bank' }, {
+        amount: 50,
+        banks: [{ id: 'bank_1', location: 'Vault', amount: 1000, items: [] }]
+    });
+
+    await system.removeBank(0);
+
+    const banks = system.data.gold.banks;
+    assert.strictEqual(system.data.gold.amount, system.getCarryLimit());
+    assert.strictEqual(banks.length, 1);
+    assert.notStrictEqual(banks[0].id, 'bank_1');
+    assert.strictEqual(system.data.gold.amount + banks[0].amount, 1050);
+    assert.deepStrictEqual(system.validate(), []);
+});
+
+test('closing a bank is free of fees', async () => {
+    const system = createBankSystem({}, {
+        amount: 0,
+        banks: [{ id: 'bank_1', location: 'Vault', amount: 100, items: [], feePercent: 10 }]
+    });
+
+    await system.removeBank(0);
+
+    assert.strictEqual(system.data.gold.amount, 100);
+    assert.strictEqual(system.getGoldLedger({ source: 'bank-fee' }).length, 0);
+    assert.deepStrictEqual(system.validate(), []);
+});
+
+test('a bank pays interest once per period', () => {
+    const system = createBankSystem({}, {
+        amount: 0,
+        banks: [{ id: 'bank_1', location: 'Vault', amount: 240, items: [], interestPercent: 5 }]
+    });
+    const now = Date.now();
+    const period = system.options.interestPeriodHours * 60 * 60 * 1000;
+
+    assert.strictEqual(system.payBankInterest('bank_1', now), 12);
+    assert.strictEqual(system.payBankInterest('bank_1', now + 1000), 0);
+    assert.strictEqual(system.data.gold.banks[0].amount, 252);
+
+    assert.strictEqual(system.payBankInterest('bank_1', now + period), 12);
+    assert.strictEqual(system.data.gold.banks[0].amount, 264);
+    assert.deepStrictEqual(system.validate(), []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSystem, mountContainer, unmountContainer, eventTarget } = require('./helpers/dom.js');
+
+test.afterEach(() => unmountContainer());
+
+function createMountedSystem(options = {}) {
+    const container = mountContainer();
+    const system = createSystem({
+        initialData: {
+            inventory: {
+                Consumables: [{ id: 'potion', name: 'Potion', type: 'consumable', quantity: 5 }],
+                Jewelry: [{ id: 'ring', name: 'Silver Ring', type: 'jewelry' }]
+            },
+            // A dangling id gives repair() something to fix, so it renders again
+            equipped: { primaryWeapon: 'lost_sword', jewelry: ['ring', null, null] }
+        },
+        ...options
+    });
+    return { container, system };
+}
+
+function usePotion(container, system) {
+    const { category, index } = system.findInventoryItem('potion');
+    container.dispatch('click', eventTarget({ action: 'use-item', category, index: String(index) }));
+    return system.findInventoryItem('potion').item.quantity;
+}
+
+test('a click runs its action once after repair() renders again', () => {
+    const { container, system } = createMountedSystem();
+    assert.ok(system.repair().length > 0);
+    system.render();
+
+    assert.strictEqual(usePotion(container, system), 4);
+});
+
+test('switching rules packs reports and saves unequipped items, and clicks still run once', () => {
+    const saved = [];
+    const { container, system } = createMountedSystem({ onDataChanged: (data) => saved.push(JSON.parse(JSON.stringify(data))) });
+
+    system.setRulesPack('dnd5e');
+
+    assert.match(system.messages.join('\n'), /Silver Ring was unequipped/);
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].equipped.jewelry, undefined);
+    assert.ok(Object.values(saved[0].inventory).flat().some(item => item.id === 'ring'));
+
+    system.setRulesPack('daggerheart');
+    assert.strictEqual(usePotion(container, system), 4);
+});
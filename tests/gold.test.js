@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSystem } = require('./helpers/dom.js');
+
+function createGoldSystem(gold = {}, options = {}) {
+    const system = createSystem({
+        initialData: { gold: { amount: 0, equippedPouches: 0, banks: [], ledger: [], ...gold } },
+        ...options
+    });
+    // Writes the opening balances
+    system.repair();
+    return system;
+}
+
+test('every change in value is written to the ledger', () => {
+    const system = createGoldSystem({ amount: 20 });
+
+    system.addGold(15, { source: 'loot', reason: 'Goblin purse' });
+    system.spendGold(5, { source: 'purchase' });
+
+    const entries = system.getGoldLedger({ account: 'carried' });
+    assert.deepStrictEqual(entries.map(entry => [entry.source, entry.direction, entry.amount, entry.balance]), [
+        ['adjustment', 'in', 20, 20],
+        ['loot', 'in', 15, 35],
+        ['purchase', 'out', 5, 30]
+    ]);
+    assert.strictEqual(system.getLedgerBalance('carried'), 30);
+    assert.strictEqual(system.spendGold(100, {}), false);
+    assert.deepStrictEqual(system.reconcileGold(), []);
+});
+
+test('reconcileGold reports balances the ledger does not explain and fixes them', () => {
+    const system = createGoldSystem({ amount: 20 });
+    system.data.gold.amount = 25;
+
+    const mismatches = system.reconcileGold();
+    assert.deepStrictEqual(mismatches.map(mismatch => [mismatch.account, mismatch.expected, mismatch.actual]), [['carried', 20, 25]]);
+    assert.strictEqual(system.getGoldLedger({ source: 'adjustment' }).length, 1);
+
+    system.reconcileGold(true);
+    assert.deepStrictEqual(system.reconcileGold(), []);
+    assert.strictEqual(system.getGoldLedger({ source: 'adjustment' }).at(-1).amount, 5);
+});
+
+test('bank deposits take their fee and record both sides', () => {
+    const system = createGoldSystem({ amount: 100, banks: [{ id: 'bank_1', location: 'Vault', amount: 0, items: [], feePercent: 10 }] });
+
+    assert.strictEqual(system.depositGold('bank_1', 50), true);
+
+    assert.strictEqual(system.data.gold.amount, 50);
+    assert.strictEqual(system.data.gold.banks[0].amount, 45);
+    assert.strictEqual(system.getGoldLedger({ source: 'bank-fee' })[0].amount, 5);
+    assert.strictEqual(system.depositGold('bank_1', 500), false);
+    assert.deepStrictEqual(system.validate(), []);
+});
+
+test('undo and redo restore items and gold and reverse the gold in the ledger', () => {
+    const system = createGoldSystem({ amount: 50 });
+
+    system.buyItem({ name: 'Rope', type: 'adventure' }, 10);
+    assert.strictEqual(system.data.gold.amount, 40);
+    assert.strictEqual(system.data.inventory.Utility.length, 1);
+
+    assert.strictEqual(system.undo(), true);
+    assert.strictEqual(system.data.gold.amount, 50);
+    assert.strictEqual(system.data.inventory.Utility.length, 0);
+
+    assert.strictEqual(system.redo(), true);
+    assert.strictEqual(system.data.gold.amount, 40);
+    assert.strictEqual(system.data.inventory.Utility.length, 1);
+
+    // The ledger keeps the purchase and adds a reversal for each step
+    assert.deepStrictEqual(system.getGoldLedger({ account: 'carried' }).map(entry => entry.source), ['adjustment', 'purchase', 'undo', 'undo']);
+    assert.deepStrictEqual(system.validate(), []);
+});
+
+test('undo stops at changes marked as final', () => {
+    const system = createGoldSystem({ amount: 50 });
+
+    system.buyItem({ name: 'Rope', type: 'adventure' }, 10);
+    system.buyItem({ name: 'Torch', type: 'adventure' }, 5, { undoable: false });
+
+    assert.strictEqual(system.undo(), false);
+    assert.strictEqual(system.data.gold.amount, 35);
+});
@@ -0,0 +1,73 @@
+// Shared test setup. EquipmentSystem renders into a container; without one in the document it
+// only keeps data. mountContainer() adds a container that records its listeners, so tests can
+// fire events at it the way the browser's delegation would.
+
+function stubElement() {
+    return {
+        style: {},
+        dataset: {},
+        innerHTML: '',
+        classList: { add() {}, remove() {}, contains: () => false },
+        appendChild() {},
+        addEventListener() {},
+        setAttribute() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        closest: () => null
+    };
+}
+
+let container = null;
+
+global.document = {
+    getElementById: (id) => container && container.id === id ? container : null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {},
+    createElement: () => stubElement(),
+    head: stubElement(),
+    body: stubElement()
+};
+
+const EquipmentSystem = require('../../standalone-equipment-system.js');
+
+function mountContainer(id = 'equipment-container') {
+    const listeners = {};
+    container = {
+        ...stubElement(),
+        id,
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        // Sections render into whatever the container returns, so never hand back null
+        querySelector: () => stubElement(),
+        // Fires an event at the container with `target` as the element that was clicked or changed
+        dispatch(type, target) {
+            (listeners[type] || []).forEach(listener => listener({ type, target, button: 0, preventDefault() {} }));
+        }
+    };
+    return container;
+}
+
+function unmountContainer() {
+    container = null;
+}
+
+// An element carrying data-* attributes, as the delegated handlers read them
+function eventTarget(dataset = {}, props = {}) {
+    return { ...stubElement(), dataset, ...props };
+}
+
+// Dialogs resolve straight away: messages are collected, confirms accept, prompts and choices cancel
+function createSystem(options = {}) {
+    const system = new EquipmentSystem('equipment-container', options);
+    system.messages = [];
+    system.showMessage = async (message) => { system.messages.push(message); };
+    system.showConfirm = async () => true;
+    system.showPrompt = async () => null;
+    system.showChoice = async () => null;
+    return system;
+}
+
+module.exports = { EquipmentSystem, createSystem, mountContainer, unmountContainer, eventTarget };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSystem } = require('./helpers/dom.js');
+const { migrateEquipmentData } = require('../equipment-schema.js');
+
+const potions = [1, 2, 3, 4, 5].map(i => ({ id: `potion_${i}`, name: `Potion ${i}`, type: 'consumable' }));
+
+test('repair() reports equipped items that loading had to drop', () => {
+    const system = createSystem({
+        initialData: {
+            inventory: { Consumables: potions },
+            equipped: { primaryWeapon: 'lost_sword', belt: potions.map(potion => potion.id) }
+        }
+    });
+
+    const codes = system.validate().map(issue => issue.code);
+    assert.ok(codes.includes('missing-equipped-item'));
+    assert.strictEqual(codes.filter(code => code === 'slot-overflow').length, 5 - system.getSelectedBag().consumableSlots);
+
+    const repaired = system.repair().map(issue => issue.code);
+    assert.deepStrictEqual(repaired.slice(0, codes.length), codes);
+    assert.strictEqual(system.data.repairLog, undefined);
+    assert.deepStrictEqual(system.validate(), []);
+});
+
+test('server-side upgrades keep what they dropped for the browser to report', () => {
+    const migrated = migrateEquipmentData({
+        inventory: { Consumables: potions },
+        equipped: { primaryWeapon: 'lost_sword' }
+    });
+
+    assert.deepStrictEqual(migrated.repairLog.map(issue => issue.code), ['missing-equipped-item']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSystem } = require('./helpers/dom.js');
+
+const potion = (id, quantity = 1) => ({ id, name: 'Healing Potion', type: 'potion', quantity });
+
+test('identical items join one stack', () => {
+    const system = createSystem();
+
+    system.addItemToInventory(potion('p1', 2));
+    const entry = system.addItemToInventory(potion('p2', 3));
+
+    assert.strictEqual(entry.id, 'p1');
+    assert.strictEqual(system.data.inventory.Gear.length, 1);
+    assert.strictEqual(entry.quantity, 5);
+});
+
+test('splitting and merging a stack keeps every unit', async () => {
+    const system = createSystem({ initialData: { inventory: { Gear: [potion('p1', 5)] } } });
+
+    await system.splitItemStack('Gear', 0, 2);
+    assert.deepStrictEqual(system.data.inventory.Gear.map(item => item.quantity), [3, 2]);
+    assert.notStrictEqual(system.data.inventory.Gear[1].id, 'p1');
+
+    system.mergeItemStacks('Gear', 0);
+    assert.deepStrictEqual(system.data.inventory.Gear.map(item => [item.id, item.quantity]), [['p1', 5]]);
+});
+
+test('a split refuses amounts that would empty the stack', async () => {
+    const system = createSystem({ initialData: { inventory: { Gear: [potion('p1', 2)] } } });
+
+    await system.splitItemStack('Gear', 0, 2);
+
+    assert.strictEqual(system.data.inventory.Gear.length, 1);
+    assert.strictEqual(system.messages.length, 1);
+});
+
+test('items move into containers and back out', () => {
+    const quiver = { id: 'quiver', name: 'Quiver', type: 'adventure', container: { capacity: 5, acceptedTypes: ['ammunition'] }, contents: [] };
+    const arrows = { id: 'arrows', name: 'Arrows', type: 'ammunition', quantity: 4 };
+    const system = createSystem({ initialData: { inventory: { Gear: [arrows, potion('p1')], Utility: [quiver] } } });
+
+    assert.strictEqual(system.moveItemIntoContainer('p1', 'quiver'), false);
+    assert.strictEqual(system.moveItemIntoContainer('arrows', 'quiver'), true);
+    assert.strictEqual(system.findInventoryItem('arrows'), null);
+    assert.strictEqual(system.locateItem('arrows').parent.id, 'quiver');
+
+    system.moveItemOutOfContainer('arrows');
+    assert.strictEqual(system.findInventoryItem('arrows').category, 'Gear');
+    assert.deepStrictEqual(system.locateItem('quiver').item.contents, []);
+});
+
+test('containers refuse what is too heavy or themselves', () => {
+    const pouch = { id: 'pouch', name: 'Pouch', type: 'adventure', container: { capacity: 1 }, contents: [] };
+    const system = createSystem({ initialData: { inventory: { Utility: [pouch], Gear: [potion('p1', 3)] } } });
+
+    assert.strictEqual(system.moveItemIntoContainer('p1', 'pouch'), false);
+    assert.strictEqual(system.moveItemIntoContainer('pouch', 'pouch'), false);
+    assert.strictEqual(system.messages.length, 2);
+});
+
+test('using the last unit removes the entry and unequips it', () => {
+    const system = createSystem({ initialData: { inventory: { Gear: [potion('p1')] }, equipped: { belt: ['p1', null, null] } } });
+
+    const use = system.useItem('Gear', 0);
+
+    assert.strictEqual(use.quantity, 0);
+    assert.strictEqual(system.findInventoryItem('p1'), null);
+    assert.deepStrictEqual(system.data.equipped.belt, [null, null, null]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSystem } = require('./helpers/dom.js');
+
+function createArmedSystem() {
+    return createSystem({
+        initialData: {
+            inventory: {
+                Gear: [
+                    { id: 'sword', name: 'Sword', type: 'weapon' },
+                    { id: 'bow', name: 'Bow', type: 'weapon' },
+                    { id: 'sack', name: 'Sack', type: 'adventure', container: { capacity: 10 }, contents: [] }
+                ]
+            },
+            equipped: { primaryWeapon: 'sword' }
+        }
+    });
+}
+
+test('saved loadouts get distinct ids', () => {
+    const system = createArmedSystem();
+
+    const first = system.saveLoadout('Melee');
+    const second = system.saveLoadout('Melee again');
+
+    assert.notStrictEqual(first.id, second.id);
+    assert.match(first.id, /^loadout_/);
+});
+
+test('applying a loadout re-equips it and reports what came off', async () => {
+    const system = createArmedSystem();
+    const melee = system.saveLoadout('Melee');
+    system.unequipSpecificItem('primaryWeapon');
+    await system.equipItemToSlot('primaryWeapon', system.findInventoryItem('bow').item, null, { confirmSwap: false });
+
+    const report = system.applyLoadout(melee.id, { showReport: false });
+
+    assert.strictEqual(system.data.equipped.primaryWeapon, 'sword');
+    assert.deepStrictEqual(report, { missing: [], skipped: [], unequipped: ['Bow'] });
+});
+
+test('a loadout reports dropped items as missing and packed ones as skipped', () => {
+    const system = createArmedSystem();
+    const melee = system.saveLoadout('Melee');
+
+    system.moveItemIntoContainer('sword', 'sack');
+    assert.deepStrictEqual(system.applyLoadout(melee.id, { showReport: false }).skipped, ['Sword (packed in Sack)']);
+
+    system.locateItem('sack').item.contents = [];
+    assert.deepStrictEqual(system.applyLoadout(melee.id, { showReport: false }).missing, ['Sword']);
+});
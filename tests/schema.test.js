@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EQUIPMENT_SCHEMA_VERSION, migrateEquipmentData, getCharacterEquipment } = require('../equipment-schema.js');
+
+// What EquipmentSystem passes in the browser; the API passes nothing
+const browserContext = {
+    getItemCategory: (type) => ({ weapon: 'Gear', jewelry: 'Jewelry', clothing: 'Clothing' })[type] || 'Personal',
+    getDenominationValue: (id) => ({ coins: 1, pouches: 10, chest: 100 })[id]
+};
+
+test('v1 gives unversioned data its core shape', () => {
+    const migrated = migrateEquipmentData({ inventory: { Gear: [{ id: 1, name: 'Sword', type: 'weapon' }, 'junk'], Broken: 'oops' } });
+
+    assert.deepStrictEqual(migrated.inventory, { Gear: [{ id: 1, name: 'Sword', type: 'weapon' }] });
+    assert.deepStrictEqual(migrated.equipped, {});
+    assert.deepStrictEqual(migrated.loadouts, []);
+    assert.strictEqual(migrated.gold.equippedPouches, 0);
+});
+
+test('v2 turns equipped copies into ids and puts lost copies back', () => {
+    const migrated = migrateEquipmentData({
+        inventory: { Gear: [{ id: 1, name: 'Sword', type: 'weapon' }] },
+        equipped: {
+            primaryWeapon: { id: 1, name: 'Sword', type: 'weapon' },
+            armor: { id: 2, name: 'Chain Mail', type: 'armor' },
+            jewelry: [{ id: 3 }, null]
+        }
+    }, browserContext);
+
+    assert.strictEqual(migrated.equipped.primaryWeapon, 1);
+    assert.strictEqual(migrated.equipped.armor, 2);
+    assert.deepStrictEqual(migrated.inventory.Personal.map(item => item.name), ['Chain Mail']);
+    assert.deepStrictEqual(migrated.equipped.jewelry, [null, null]);
+    assert.deepStrictEqual(migrated.repairLog.map(issue => issue.code), ['missing-equipped-item']);
+});
+
+test('v2 unequips items that are packed in a container', () => {
+    const migrated = migrateEquipmentData({
+        inventory: { Gear: [{ id: 'sack', name: 'Sack', type: 'adventure', container: { capacity: 10 }, contents: [{ id: 'dagger', name: 'Dagger', type: 'weapon' }] }] },
+        equipped: { primaryWeapon: 'dagger' }
+    });
+
+    assert.strictEqual(migrated.equipped.primaryWeapon, null);
+    assert.deepStrictEqual(migrated.repairLog.map(issue => issue.code), ['packed-equipped-item']);
+});
+
+test('v3 and v4 give banks ids and item storage, and gold a ledger', () => {
+    const migrated = migrateEquipmentData({ gold: { banks: [{ location: 'Vault', chests: 1 }, { id: 'keep', location: 'Guild', chests: 0, items: ['junk'] }] } });
+
+    assert.deepStrictEqual(migrated.gold.banks.map(bank => bank.id), ['bank_1', 'keep']);
+    assert.deepStrictEqual(migrated.gold.banks.map(bank => bank.items), [[], []]);
+    assert.deepStrictEqual(migrated.gold.ledger, []);
+});
+
+test('v5 retypes worn personal items once and moves them to their category', () => {
+    const migrated = migrateEquipmentData({
+        inventory: { Personal: [{ id: 1, name: 'Silver Ring', type: 'personal' }, { id: 2, name: 'Old Cloak', type: 'personal' }, { id: 3, name: 'Diary', type: 'personal' }] }
+    }, browserContext);
+
+    assert.deepStrictEqual(migrated.inventory.Jewelry.map(item => item.type), ['jewelry']);
+    assert.deepStrictEqual(migrated.inventory.Clothing.map(item => item.type), ['clothing']);
+    assert.deepStrictEqual(migrated.inventory.Personal.map(item => item.name), ['Diary']);
+
+    // Already at v5: a personal locket the player kept stays personal
+    const kept = migrateEquipmentData({ ...migrated, inventory: { Personal: [{ id: 4, name: 'Locket', type: 'personal' }] } }, browserContext);
+    assert.strictEqual(kept.inventory.Personal[0].type, 'personal');
+});
+
+test('v6 counts gold in coins with the rules pack values', () => {
+    const migrated = migrateEquipmentData({
+        gold: { coins: 3, pouches: 2, chest: 1, banks: [{ id: 'bank_1', location: 'Vault', chests: 2 }] }
+    }, browserContext);
+
+    assert.strictEqual(migrated.schemaVersion, EQUIPMENT_SCHEMA_VERSION);
+    assert.strictEqual(migrated.gold.amount, 123);
+    assert.strictEqual(migrated.gold.banks[0].amount, 200);
+    assert.deepStrictEqual(Object.keys(migrated.gold).filter(key => ['coins', 'pouches', 'chest'].includes(key)), []);
+    assert.strictEqual('chests' in migrated.gold.banks[0], false);
+});
+
+test('the server stops before steps that need the rules pack', () => {
+    const data = { gold: { coins: 3 } };
+    const migrated = migrateEquipmentData(data);
+
+    assert.strictEqual(migrated.schemaVersion, 5);
+    assert.strictEqual(migrated.gold.coins, 3);
+    assert.deepStrictEqual(data, { gold: { coins: 3 } });
+    assert.strictEqual(migrateEquipmentData(migrated, browserContext).gold.amount, 3);
+});
+
+test('current and newer data are returned as they are', () => {
+    const newer = { schemaVersion: EQUIPMENT_SCHEMA_VERSION + 1, anything: true };
+    assert.strictEqual(migrateEquipmentData(newer), newer);
+});
+
+test('characters keep equipment in either field', () => {
+    assert.deepStrictEqual(getCharacterEquipment({ equipment: { a: 1 } }), { a: 1 });
+    assert.deepStrictEqual(getCharacterEquipment({ data: { b: 2 } }), { b: 2 });
+    assert.deepStrictEqual(getCharacterEquipment(null), {});
+});
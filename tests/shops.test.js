@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSystem } = require('./helpers/dom.js');
+
+function createShopSystem(amount, stock) {
+    const system = createSystem({
+        initialData: { gold: { amount, equippedPouches: 0, banks: [], ledger: [] } },
+        shops: {
+            shop_1: {
+                name: 'General Store',
+                buyBackPercent: 50,
+                items: [{ id: 'rope', item: { name: 'Rope', type: 'adventure' }, price: 10, stock }]
+            }
+        }
+    });
+    system.repair();
+    return system;
+}
+
+const stockOf = (system) => system.getShops().shop_1.items[0].stock;
+
+test('buying from a shop takes one from its stock and charges the list price', async () => {
+    const system = createShopSystem(25, 2);
+
+    const entry = await system.buyFromShop('shop_1', 'rope');
+
+    assert.strictEqual(entry.name, 'Rope');
+    assert.strictEqual(system.data.gold.amount, 15);
+    assert.strictEqual(stockOf(system), 1);
+    assert.strictEqual(system.getGoldLedger({ source: 'purchase' }).length, 1);
+    // Shop stock is room data, so the trade can't be undone
+    assert.strictEqual(system.undo(), false);
+});
+
+test('a purchase the character cannot afford leaves the stock alone', async () => {
+    const system = createShopSystem(5, 2);
+
+    assert.strictEqual(await system.buyFromShop('shop_1', 'rope'), null);
+
+    assert.strictEqual(system.data.gold.amount, 5);
+    assert.strictEqual(stockOf(system), 2);
+    assert.strictEqual(system.messages.length, 1);
+});
+
+test('a sold-out listing cannot be bought', async () => {
+    const system = createShopSystem(25, 0);
+
+    assert.strictEqual(await system.buyFromShop('shop_1', 'rope'), null);
+    assert.strictEqual(system.data.gold.amount, 25);
+});
+
+test('selling to a shop pays its buy-back price and restocks it', async () => {
+    const system = createShopSystem(0, 0);
+    system.addItemToInventory({ id: 'my_rope', name: 'Rope', type: 'adventure', quantity: 2 });
+    const { category, index } = system.findInventoryItem('my_rope');
+
+    assert.strictEqual(await system.sellToShop('shop_1', category, index), 5);
+
+    assert.strictEqual(system.data.gold.amount, 5);
+    assert.strictEqual(system.findInventoryItem('my_rope').item.quantity, 1);
+    assert.strictEqual(stockOf(system), 1);
+    assert.deepStrictEqual(system.validate(), []);
+});
+
+test('a failed shop write changes nothing for the player', async () => {
+    const system = createShopSystem(25, 2);
+    system.options.onShopUpdate = async () => { throw new Error('offline'); };
+
+    assert.strictEqual(await system.buyFromShop('shop_1', 'rope'), null);
+
+    assert.strictEqual(system.data.gold.amount, 25);
+    assert.strictEqual(stockOf(system), 2);
+    assert.match(system.messages[0], /offline/);
+});